@@ -0,0 +1,271 @@
+// Dashboard client for the default theme: generates codes, shows the QR and
+// follows /events (falling back to polling /status).
+// Messages in the page language, rendered by the server into <body data-messages>
+const messages = JSON.parse(document.body.dataset.messages || '{}');
+const language = document.documentElement.lang;
+
+function t(key, params) {
+    return (messages[key] || key).replace(/\{(\w+)\}/g, (match, name) => 
+        (params && params[name] !== undefined ? params[name] : match));
+}
+
+// Ask the API for messages in the same language as the page
+function withLanguage(url) {
+    return url + (url.includes('?') ? '&' : '?') + 'lang=' + encodeURIComponent(language);
+}
+
+let currentCode = '';
+let currentPhone = '';
+let currentSessionId = '';
+let expiryInterval = null;
+let pollInterval = null;
+let sessionEvents = null;
+
+document.getElementById('countryCode').addEventListener('change', function(e) {
+    const customCodeDiv = document.getElementById('customCountryCode');
+    if (e.target.value === 'other') {
+        customCodeDiv.style.display = 'block';
+    } else {
+        customCodeDiv.style.display = 'none';
+    }
+});
+
+document.getElementById('phoneNumber').addEventListener('input', function(e) {
+    let value = e.target.value.replace(/\D/g, '');
+    e.target.value = value;
+});
+
+async function generatePairingCode() {
+    const countrySelect = document.getElementById('countryCode');
+    const phoneInput = document.getElementById('phoneNumber');
+    const customCodeInput = document.getElementById('customCode');
+    
+    let countryCode = countrySelect.value;
+    if (countryCode === 'other') {
+        countryCode = customCodeInput.value.replace(/\D/g, '');
+        if (!countryCode) {
+            showNotification('❌ ' + t('enterCountryCode'), 'error');
+            customCodeInput.focus();
+            return;
+        }
+    }
+    
+    const phone = phoneInput.value.replace(/\D/g, '');
+    
+    if (!phone) {
+        showNotification('❌ ' + t('enterPhone'), 'error');
+        phoneInput.focus();
+        return;
+    }
+    
+    if (phone.length < 5) {
+        showNotification('❌ ' + t('phoneTooShort'), 'error');
+        phoneInput.focus();
+        return;
+    }
+    
+    try {
+        const response = await fetch(withLanguage('/generate-code'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ 
+                phoneNumber: phone,
+                countryCode: countryCode
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            currentCode = data.displayCode;
+            currentPhone = data.phoneNumber;
+            currentSessionId = data.sessionId;
+            
+            document.getElementById('pairingCodeDisplay').textContent = currentCode;
+            document.getElementById('codeDisplaySection').style.display = 'block';
+            document.getElementById('qrSection').style.display = 'none';
+            
+            const countryFlag = data.country ? ` (${data.country})` : '';
+            document.getElementById('codeInfo').innerHTML = `
+                ${t('generatedFor')} <strong>${currentPhone}${countryFlag}</strong><br>
+                ${t('expiresIn')} <span id="expiryTimer">10:00</span>
+            `;
+            
+            if (data.expiresAt) {
+                startExpiryTimer(data.expiresAt);
+            }
+            
+            followSession(currentSessionId);
+            updateStats();
+            
+            showNotification('✅ ' + t('codeGenerated', { code: currentCode }), 'success');
+        } else {
+            showNotification('❌ ' + (data.message || t('generateFailed')), 'error');
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('❌ ' + t('networkError'), 'error');
+    }
+}
+
+async function showQRCode() {
+    try {
+        const response = await fetch(withLanguage('/getqr'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        
+        const data = await response.json();
+        
+        if (data.success && data.qrImage) {
+            document.getElementById('qrImage').src = data.qrImage;
+            document.getElementById('qrSection').style.display = 'block';
+            document.getElementById('codeDisplaySection').style.display = 'none';
+            showNotification('✅ ' + t('qrLoaded'), 'success');
+        } else {
+            showNotification('⚠️ ' + (data.message || t('qrUnavailable')), 'warning');
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showNotification('❌ ' + t('qrError'), 'error');
+    }
+}
+
+function copyToClipboard() {
+    if (!currentCode) {
+        showNotification('❌ ' + t('nothingToCopy'), 'warning');
+        return;
+    }
+    
+    navigator.clipboard.writeText(currentCode).then(() => {
+        showNotification('✅ ' + t('copied', { code: currentCode }), 'success');
+    }).catch(err => {
+        showNotification('❌ ' + t('copyFailed'), 'error');
+    });
+}
+
+function startExpiryTimer(expiryTime) {
+    if (expiryInterval) clearInterval(expiryInterval);
+    
+    const expiryDate = new Date(expiryTime);
+    
+    function updateTimer() {
+        const now = new Date();
+        const diff = expiryDate - now;
+        
+        if (diff <= 0) {
+            document.getElementById('expiryTimer').textContent = t('expired');
+            clearInterval(expiryInterval);
+            showNotification('⚠️ ' + t('codeExpired'), 'warning');
+            return;
+        }
+        
+        const minutes = Math.floor(diff / 60000);
+        const seconds = Math.floor((diff % 60000) / 1000);
+        
+        document.getElementById('expiryTimer').textContent = 
+            `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    updateTimer();
+    expiryInterval = setInterval(updateTimer, 1000);
+}
+
+async function updateStats() {
+    try {
+        const response = await fetch(withLanguage('/status'));
+        applyStatus(await response.json());
+    } catch (error) {
+        console.log('Status update failed:', error);
+    }
+}
+
+function applyStatus(data) {
+    const statusBadge = document.getElementById('statusBadge');
+    statusBadge.textContent = data.statusText || t('unknown');
+    statusBadge.style.backgroundColor = data.statusColor || '#6c757d';
+    
+    document.getElementById('pairingCount').textContent = data.pairingCodes || 0;
+    if (data.lastCode) {
+        document.getElementById('lastCode').textContent = data.lastCode;
+    }
+    document.getElementById('qrAttempts').textContent = data.qrAttempts || 0;
+}
+
+function startPolling() {
+    if (!pollInterval) {
+        pollInterval = setInterval(updateStats, 5000);
+        updateStats();
+    }
+}
+
+function stopPolling() {
+    if (pollInterval) {
+        clearInterval(pollInterval);
+        pollInterval = null;
+    }
+}
+
+function connectEvents() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+    
+    const source = new EventSource(withLanguage('/events'));
+    
+    source.onopen = stopPolling;
+    source.onerror = startPolling;
+    
+    source.addEventListener('status', (e) => applyStatus(JSON.parse(e.data)));
+    
+    source.addEventListener('qr', (e) => {
+        const data = JSON.parse(e.data);
+        document.getElementById('qrImage').src = data.qrImage;
+        document.getElementById('qrAttempts').textContent = data.attempt || 0;
+    });
+}
+
+// Code lifecycle events are only published on the stream of their own session
+function followSession(sessionId) {
+    if (sessionEvents) {
+        sessionEvents.close();
+        sessionEvents = null;
+    }
+    
+    if (!window.EventSource || !sessionId) {
+        return;
+    }
+    
+    sessionEvents = new EventSource(withLanguage('/events?sessionId=' + encodeURIComponent(sessionId)));
+    
+    sessionEvents.addEventListener('code.linked', () => {
+        updateStats();
+        if (expiryInterval) clearInterval(expiryInterval);
+        document.getElementById('expiryTimer').textContent = t('linked');
+        showNotification('✅ ' + t('codeLinked'), 'success');
+    });
+    
+    sessionEvents.addEventListener('code.expired', () => {
+        updateStats();
+        document.getElementById('expiryTimer').textContent = t('expired');
+    });
+}
+
+function showNotification(message, type) {
+    const notification = document.getElementById('notification');
+    notification.textContent = message;
+    notification.className = 'notification ' + (type || 'info');
+    notification.style.display = 'block';
+    
+    setTimeout(() => {
+        notification.style.display = 'none';
+    }, 3000);
+}
+
+document.getElementById('generateButton').addEventListener('click', generatePairingCode);
+document.getElementById('qrButton').addEventListener('click', showQRCode);
+document.getElementById('copyButton').addEventListener('click', copyToClipboard);
+
+connectEvents();
@@ -5,37 +5,77 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const { 
     makeWASocket, 
-    useMultiFileAuthState,
+    initAuthCreds,
+    BufferJSON,
+    proto,
     DisconnectReason,
     fetchLatestBaileysVersion,
-    Browsers
+    Browsers,
+    jidNormalizedUser
 } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const zlib = require('zlib');
 const fs = require('fs-extra');
 const path = require('path');
+const http = require('http');
+const https = require('https');
 const pino = require('pino');
-const { parsePhoneNumberFromString } = require('libphonenumber-js');
-const phone = require('phone');
+const promClient = require('prom-client');
+const { 
+    parsePhoneNumberFromString, 
+    validatePhoneNumberLength, 
+    getCountries, 
+    getCountryCallingCode,
+    getExampleNumber 
+} = require('libphonenumber-js/max');
+const phoneMetadata = require('libphonenumber-js/max/metadata');
+const mobileExamples = require('libphonenumber-js/mobile/examples');
+const { phone } = require('phone');
 
 // ==================== EXPRESS APP SETUP ====================
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Request IDs and access logging (see LOGGING below)
+app.use(attachRequestLogger);
+// Response language from ?lang= or Accept-Language (see LOCALIZATION below)
+app.use(attachLocale);
+// Refuse new work once shutdown has started (see SHUTDOWN below)
+app.use(trackInFlightRequests);
+
+// Honour X-Forwarded-For from the hosting proxy (e.g. TRUST_PROXY=1 on Replit)
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Security middleware
-app.use(helmet());
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            // The dashboard logo (LOGO_URL or the theme's logoUrl) is usually hosted elsewhere
+            'img-src': ["'self'", 'data:', 'https:']
+        }
+    }
+}));
 app.use(cors());
 app.use(rateLimit({
     windowMs: 15 * 60 * 1000,
-    max: 100
+    max: 100,
+    handler: (req, res, next, options) => {
+        recordRateLimitRejection('global');
+        res.status(options.statusCode).json({
+            success: false,
+            reason: 'rate_limited',
+            message: req.t('errors.rate_limited')
+        });
+    }
 }));
-app.use(express.json());
+app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
-
-// Create public directory if it doesn't exist
-const publicDir = path.join(__dirname, 'public');
-fs.ensureDirSync(publicDir);
+app.use(express.static(path.join(__dirname, 'public')));
 
 // ==================== CONFIGURATION ====================
 const CONFIG = {
@@ -44,21 +84,223 @@ const CONFIG = {
     COMPANY_EMAIL: process.env.COMPANY_EMAIL || "contact@iantech.co.ke",
     COMPANY_WEBSITE: process.env.COMPANY_WEBSITE || "https://iantech.co.ke",
     SESSION_PREFIX: "IAN_TECH",
-    LOGO_URL: "https://files.catbox.moe/f7f4r1.jpg",
-    CODE_LENGTH: 8,
+    LOGO_URL: process.env.LOGO_URL || "https://files.catbox.moe/f7f4r1.jpg",
+    THEME_FILE: process.env.THEME_FILE || null,
+    CODE_LENGTH: parseInt(process.env.CODE_LENGTH, 10) || 8,
+    CODE_ALPHABET: process.env.CODE_ALPHABET || 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+    CODE_GROUP_SIZE: process.env.CODE_GROUP_SIZE !== undefined ? parseInt(process.env.CODE_GROUP_SIZE, 10) : 4,
+    CODE_MAX_GENERATION_ATTEMPTS: 50,
     CODE_EXPIRY_MINUTES: 10,
+    CODE_RETENTION_MINUTES: parseInt(process.env.CODE_RETENTION_MINUTES, 10) || 60,
+    STATUS_MAX_WAIT_SECONDS: 60,
     DEFAULT_PHONE_EXAMPLE: "723278526",
+    DEFAULT_REGION: (process.env.DEFAULT_REGION || 'KE').toUpperCase(),
+    DEFAULT_LANGUAGE: (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase(),
     VERSION: "2.1.0",
     AUTHOR: "IAN TECH",
     AUTO_ACTIVATED: true,
     MAX_SESSIONS: 100,
     CLEANUP_INTERVAL: 60000,
     CONNECTION_TIMEOUT: 30000,
-    MAX_QR_ATTEMPTS: 5
+    SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000,
+    READINESS_UPDATE_WINDOW_SECONDS: parseInt(process.env.READINESS_UPDATE_WINDOW_SECONDS, 10) || 120,
+    MAX_QR_ATTEMPTS: 5,
+    QR_TTL_SECONDS: 20,
+    RECONNECT_BASE_DELAY_MS: parseInt(process.env.RECONNECT_BASE_DELAY_MS, 10) || 2000,
+    RECONNECT_MAX_DELAY_MS: parseInt(process.env.RECONNECT_MAX_DELAY_MS, 10) || 5 * 60 * 1000,
+    RECONNECT_MAX_FAILURES: parseInt(process.env.RECONNECT_MAX_FAILURES, 10) || 10,
+    DEMO_MODE: process.env.DEMO_MODE === 'true',
+    SESSIONS_DIR: process.env.SESSIONS_DIR || path.join(__dirname, 'sessions'),
+    PAIRING_CODE_EXPIRY_SECONDS: parseInt(process.env.PAIRING_CODE_EXPIRY_SECONDS, 10) || 160,
+    PAIRING_SOCKET_READY_TIMEOUT: 20000,
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    AUTH_STORE: process.env.AUTH_STORE || 'file',
+    AUTH_ENCRYPTION_KEY: process.env.AUTH_ENCRYPTION_KEY || null,
+    BACKUPS_DIR: process.env.BACKUPS_DIR || path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'backups'),
+    BACKUP_RETENTION_COUNT: parseInt(process.env.BACKUP_RETENTION_COUNT, 10) || 10,
+    BACKUP_RETENTION_DAYS: parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || 30,
+    RECORD_STORE: process.env.RECORD_STORE || 'json',
+    ADMIN_KEYS_FILE: process.env.ADMIN_KEYS_FILE || null,
+    GENERATE_LIMIT_PER_NUMBER: parseInt(process.env.GENERATE_LIMIT_PER_NUMBER, 10) || 3,
+    GENERATE_LIMIT_PER_IP: parseInt(process.env.GENERATE_LIMIT_PER_IP, 10) || 10,
+    GENERATE_LIMIT_WINDOW_MINUTES: parseInt(process.env.GENERATE_LIMIT_WINDOW_MINUTES, 10) || 60,
+    REGISTRATION_CACHE_MINUTES: 24 * 60,
+    REGISTRATION_NEGATIVE_CACHE_MINUTES: 60,
+    VERIFY_FREE_ATTEMPTS: 5,
+    VERIFY_MAX_DELAY_SECONDS: 15 * 60,
+    VERIFY_FAILURE_WINDOW_MINUTES: 60,
+    VERIFY_MAX_ATTEMPTS_PER_CODE: parseInt(process.env.VERIFY_MAX_ATTEMPTS_PER_CODE, 10) || 5,
+    GENERATE_COOLDOWN_SECONDS: parseInt(process.env.GENERATE_COOLDOWN_SECONDS, 10) || 60,
+    WEBHOOKS_FILE: process.env.WEBHOOKS_FILE || null,
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    WEBHOOK_BACKOFF_MS: 2000,
+    WEBHOOK_MAX_BACKOFF_MS: 5 * 60 * 1000,
+    WEBHOOK_TIMEOUT: 10000,
+    SSE_HEARTBEAT_INTERVAL: 25000,
+    SSE_RETRY_MS: 3000,
+    SQLITE_PATH: process.env.SQLITE_PATH || path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'pairing.db'),
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    LOG_PRETTY: process.env.LOG_PRETTY ? process.env.LOG_PRETTY === 'true' : process.env.NODE_ENV === 'development',
+    BAILEYS_LOG_LEVEL: process.env.BAILEYS_LOG_LEVEL || 'silent'
 };
 
+// ==================== LOGGING ====================
+// One JSON logger for the whole service. Phone numbers and JIDs are kept in
+// their own fields so they can be masked; never interpolate them into messages.
+const REDACTED_LOG_PATHS = [
+    'phoneNumber', 'linkedNumber', 'jid', 'numbers',
+    '*.phoneNumber', '*.linkedNumber', '*.jid'
+];
+
+function maskPhoneNumber(value) {
+    if (Array.isArray(value)) {
+        return value.map(maskPhoneNumber);
+    }
+    if (value === null || value === undefined) {
+        return value;
+    }
+    // Keep the last four digits so support can still match a log line to a user
+    return String(value).replace(/\d(?=\d{4})/g, '*');
+}
+
+function createLogger() {
+    const options = {
+        level: CONFIG.LOG_LEVEL,
+        base: { service: CONFIG.SESSION_PREFIX, version: CONFIG.VERSION },
+        timestamp: pino.stdTimeFunctions.isoTime,
+        redact: { paths: REDACTED_LOG_PATHS, censor: maskPhoneNumber }
+    };
+    
+    if (!CONFIG.LOG_PRETTY) {
+        return pino(options);
+    }
+    
+    try {
+        require.resolve('pino-pretty');
+    } catch (error) {
+        const fallback = pino(options);
+        fallback.warn('LOG_PRETTY is enabled but pino-pretty is not installed; writing JSON logs');
+        return fallback;
+    }
+    
+    return pino({
+        ...options,
+        transport: {
+            target: 'pino-pretty',
+            options: { colorize: true, translateTime: 'SYS:standard', ignore: 'pid,hostname,service,version' }
+        }
+    });
+}
+
+const logger = createLogger();
+const socketLog = logger.child({ component: 'socket' });
+const codeLog = logger.child({ component: 'codes' });
+const webhookLog = logger.child({ component: 'webhooks' });
+const httpLog = logger.child({ component: 'http' });
+
+function attachRequestLogger(req, res, next) {
+    const incomingId = req.get('X-Request-Id');
+    const startedAt = process.hrtime.bigint();
+    
+    req.id = incomingId && /^[\w.-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = httpLog.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        observeHttpRequest(req, res, durationMs);
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        
+        req.log[level]({
+            method: req.method,
+            path: req.path,
+            statusCode: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            ip: req.ip
+        }, 'request completed');
+    });
+    
+    next();
+}
+
+// ==================== LOCALIZATION ====================
+// Message catalogs live in locales/<language>.json. API responses keep a
+// stable `reason` code next to the translated `message`, so clients can
+// also translate on their own. Missing keys fall back to English.
+const FALLBACK_LANGUAGE = 'en';
+
+function loadCatalogs() {
+    const catalogs = {};
+    const dir = path.join(__dirname, 'locales');
+    
+    for (const file of fs.readdirSync(dir)) {
+        if (file.endsWith('.json')) {
+            catalogs[path.basename(file, '.json')] = fs.readJsonSync(path.join(dir, file));
+        }
+    }
+    
+    return catalogs;
+}
+
+const catalogs = loadCatalogs();
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+if (!catalogs[CONFIG.DEFAULT_LANGUAGE]) {
+    logger.warn({ language: CONFIG.DEFAULT_LANGUAGE, supported: SUPPORTED_LANGUAGES }, 'DEFAULT_LANGUAGE has no catalog, using English');
+    CONFIG.DEFAULT_LANGUAGE = FALLBACK_LANGUAGE;
+}
+
+function lookupMessage(language, key) {
+    return key.split('.').reduce((scope, part) => (scope == null ? undefined : scope[part]), catalogs[language]);
+}
+
+// Replaces {name} placeholders; unknown placeholders are left as they are
+function formatMessage(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+function translate(language, key, params) {
+    const template = lookupMessage(language, key) ?? lookupMessage(FALLBACK_LANGUAGE, key) ?? key;
+    return formatMessage(template, params);
+}
+
+// Matches "sw", "sw-KE" or "fr_CA" against the catalogs by primary subtag
+function matchLanguage(tag) {
+    const primary = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+    return catalogs[primary] ? primary : null;
+}
+
+// ?lang= wins, then the highest-weighted supported Accept-Language entry
+function resolveLocale(req, fallback = CONFIG.DEFAULT_LANGUAGE) {
+    const requested = matchLanguage(req.query.lang);
+    if (requested) {
+        return requested;
+    }
+    
+    const accepted = (req.get('Accept-Language') || '')
+        .split(',')
+        .map((entry) => {
+            const [tag, ...options] = entry.split(';');
+            const quality = options.map((option) => option.trim()).find((option) => option.startsWith('q='));
+            return { language: matchLanguage(tag), quality: quality ? parseFloat(quality.slice(2)) : 1 };
+        })
+        .filter((entry) => entry.language && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality);
+    
+    return accepted.length > 0 ? accepted[0].language : fallback;
+}
+
+function attachLocale(req, res, next) {
+    req.locale = resolveLocale(req);
+    req.t = (key, params) => translate(req.locale, key, params);
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+}
+
 // ==================== GLOBAL STATE ====================
 let activeSocket = null;
+let activeSaveCreds = null;
 let currentQR = null;
 let qrImageDataUrl = null;
 let pairingCodes = new Map();
@@ -68,87 +310,358 @@ let lastGeneratedDisplayCode = null;
 let autoActivationAttempts = 0;
 let isConnecting = false;
 let connectionStartTime = null;
+let socketOpenedAt = null;
 let lastConnectionUpdate = null;
+let sessions = new Map();
+let baileysVersion = null;
 
-// ==================== UTILITY FUNCTIONS ====================
-function generateAlphanumericCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = '';
+// ==================== SERVICE EVENTS ====================
+// Lifecycle events (status changes, QR rotations, code transitions) are
+// published here; the SSE stream and other subscribers listen on 'event'.
+const serviceEvents = new EventEmitter();
+serviceEvents.setMaxListeners(0);
+
+function emitServiceEvent(type, payload = {}) {
+    serviceEvents.emit('event', {
+        type: type,
+        at: new Date().toISOString(),
+        payload: payload
+    });
+}
+
+function setBotStatus(status) {
+    const changed = botStatus !== status;
+    botStatus = status;
+    
+    if (changed) {
+        emitServiceEvent('status', getServiceStatus());
+    }
+}
+
+function setSessionStatus(session, status) {
+    const changed = session.status !== status;
+    session.status = status;
+    saveSessionRecord(session);
     
-    for (let i = 0; i < 8; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    if (changed) {
+        emitServiceEvent('session.status', getSessionInfo(session));
+    }
+}
+
+function getCodeEventPayload(codeData) {
+    return {
+        sessionId: codeData.sessionId,
+        phoneNumber: codeData.phoneNumber,
+        displayCode: codeData.displayCode,
+        status: codeData.status,
+        source: codeData.source,
+        createdAt: codeData.createdAt,
+        expiresAt: codeData.expiresAt,
+        linkedAt: codeData.linkedAt,
+        failureReason: codeData.failureReason
+    };
+}
+
+function getServiceStatus(language) {
+    return {
+        status: botStatus,
+        statusText: getStatusText(botStatus, language),
+        statusColor: getStatusColor(botStatus),
+        pairingCodes: pairingCodes.size,
+        sessions: sessions.size,
+        lastCode: lastGeneratedDisplayCode,
+        qrAttempts: autoActivationAttempts,
+        maxQrAttempts: CONFIG.MAX_QR_ATTEMPTS,
+        qrReady: botStatus === 'qr_ready',
+        online: botStatus === 'online',
+        company: CONFIG.COMPANY_NAME,
+        version: CONFIG.VERSION,
+        lastConnectionUpdate: lastConnectionUpdate,
+        reconnect: getReconnectInfo(),
+        uptime: process.uptime()
+    };
+}
+
+// ==================== METRICS ====================
+// Prometheus metrics served on /metrics. Code and QR counters follow the
+// service events; everything else is recorded where it happens.
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry, prefix: 'pairing_' });
+
+const BOT_STATUSES = ['connecting', 'qr_ready', 'pairing', 'online', 'disconnected'];
+
+const codesGeneratedTotal = new promClient.Counter({
+    name: 'pairing_codes_generated_total',
+    help: 'Pairing codes generated',
+    labelNames: ['source'],
+    registers: [metricsRegistry]
+});
+
+const codesVerifiedTotal = new promClient.Counter({
+    name: 'pairing_codes_verified_total',
+    help: 'Pairing code verification requests by outcome',
+    labelNames: ['outcome'],
+    registers: [metricsRegistry]
+});
+
+const codesLinkedTotal = new promClient.Counter({
+    name: 'pairing_codes_linked_total',
+    help: 'Pairing codes that completed linking',
+    labelNames: ['source'],
+    registers: [metricsRegistry]
+});
+
+const codesExpiredTotal = new promClient.Counter({
+    name: 'pairing_codes_expired_total',
+    help: 'Pairing codes that expired before linking',
+    labelNames: ['source'],
+    registers: [metricsRegistry]
+});
+
+const qrRotationsTotal = new promClient.Counter({
+    name: 'pairing_qr_rotations_total',
+    help: 'QR codes issued by WhatsApp',
+    labelNames: ['scope'],
+    registers: [metricsRegistry]
+});
+
+const reconnectsTotal = new promClient.Counter({
+    name: 'pairing_whatsapp_reconnects_total',
+    help: 'WhatsApp reconnects by DisconnectReason',
+    labelNames: ['scope', 'reason'],
+    registers: [metricsRegistry]
+});
+
+const rateLimitRejectionsTotal = new promClient.Counter({
+    name: 'pairing_rate_limit_rejections_total',
+    help: 'Requests rejected by a rate limit or throttle',
+    labelNames: ['limiter'],
+    registers: [metricsRegistry]
+});
+
+new promClient.Gauge({
+    name: 'pairing_bot_status',
+    help: 'Current status of the service WhatsApp socket (1 for the active status)',
+    labelNames: ['status'],
+    registers: [metricsRegistry],
+    collect() {
+        for (const status of BOT_STATUSES) {
+            this.set({ status }, botStatus === status ? 1 : 0);
+        }
+    }
+});
+
+new promClient.Gauge({
+    name: 'pairing_codes_live',
+    help: 'Pairing codes currently held in memory',
+    labelNames: ['status'],
+    registers: [metricsRegistry],
+    collect() {
+        this.reset();
+        for (const data of new Set(pairingCodes.values())) {
+            this.inc({ status: data.status });
+        }
+    }
+});
+
+new promClient.Gauge({
+    name: 'pairing_socket_uptime_seconds',
+    help: 'Seconds since the service WhatsApp socket last opened (0 when not connected)',
+    registers: [metricsRegistry],
+    collect() {
+        this.set(socketOpenedAt ? (Date.now() - socketOpenedAt) / 1000 : 0);
+    }
+});
+
+const httpRequestDuration = new promClient.Histogram({
+    name: 'pairing_http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [metricsRegistry]
+});
+
+serviceEvents.on('event', (event) => {
+    switch (event.type) {
+        case 'code.generated':
+            codesGeneratedTotal.inc({ source: event.payload.source });
+            break;
+        case 'code.linked':
+            codesLinkedTotal.inc({ source: event.payload.source });
+            break;
+        case 'code.expired':
+            codesExpiredTotal.inc({ source: event.payload.source });
+            break;
+        case 'qr':
+            qrRotationsTotal.inc({ scope: event.payload.sessionId ? 'session' : 'service' });
+            break;
+    }
+});
+
+function getDisconnectReasonName(statusCode) {
+    return typeof DisconnectReason[statusCode] === 'string' ? DisconnectReason[statusCode] : 'unknown';
+}
+
+function recordReconnect(scope, statusCode) {
+    reconnectsTotal.inc({ scope, reason: getDisconnectReasonName(statusCode) });
+}
+
+function recordRateLimitRejection(limiter) {
+    rateLimitRejectionsTotal.inc({ limiter });
+}
+
+function observeHttpRequest(req, res, durationMs) {
+    // Label by route pattern rather than URL so codes and session IDs stay out
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    httpRequestDuration.observe({ method: req.method, route, status_code: res.statusCode }, durationMs / 1000);
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+function hasLetterDigitMix(code, alphabet) {
+    // Only enforce the mix when the alphabet can actually produce it
+    if (!/[A-Z]/.test(alphabet) || !/[0-9]/.test(alphabet) || code.length < 4) {
+        return true;
     }
     
     const letterCount = (code.match(/[A-Z]/g) || []).length;
     const numberCount = (code.match(/[0-9]/g) || []).length;
+    return letterCount >= 2 && numberCount >= 2;
+}
+
+function generateAlphanumericCode(options = {}) {
+    const alphabet = Array.from(new Set(options.alphabet || CONFIG.CODE_ALPHABET)).join('');
+    const length = options.length || CONFIG.CODE_LENGTH;
+    const isTaken = options.isTaken || ((code) => pairingCodes.has(code) || pairingCodes.has(formatDisplayCode(code)));
+    
+    if (alphabet.length < 2 || alphabet.includes('-')) {
+        throw new Error('CODE_ALPHABET must contain at least two characters and no "-"');
+    }
     
-    if (letterCount < 2 || numberCount < 2) {
-        return generateAlphanumericCode();
+    for (let attempt = 0; attempt < CONFIG.CODE_MAX_GENERATION_ATTEMPTS; attempt++) {
+        let code = '';
+        for (let i = 0; i < length; i++) {
+            code += alphabet.charAt(crypto.randomInt(alphabet.length));
+        }
+        
+        if (hasLetterDigitMix(code, alphabet) && !isTaken(code)) {
+            return code;
+        }
     }
     
-    return code;
+    throw new Error(`Could not generate a unique code after ${CONFIG.CODE_MAX_GENERATION_ATTEMPTS} attempts`);
 }
 
-function formatDisplayCode(code) {
-    if (code.length === 8) {
-        return `${code.substring(0, 4)}-${code.substring(4)}`;
+function formatDisplayCode(code, groupSize = CONFIG.CODE_GROUP_SIZE) {
+    if (!groupSize || groupSize <= 0 || code.length <= groupSize) {
+        return code;
     }
-    return code;
+    return code.match(new RegExp(`.{1,${groupSize}}`, 'g')).join('-');
 }
 
 function generateSessionId() {
     return `${CONFIG.SESSION_PREFIX}_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
 }
 
-function validateAndFormatPhoneNumber(phoneNumber) {
+const SUPPORTED_CALLING_CODES = new Set(getCountries().map((country) => getCountryCallingCode(country)));
+const WHATSAPP_NUMBER_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE'];
+
+// `errorParams` fill the errors.<errorCode> message; `error` is its default-language text
+function phoneValidationError(errorCode, errorParams = {}) {
+    return { 
+        isValid: false, 
+        errorCode, 
+        errorParams, 
+        error: translate(CONFIG.DEFAULT_LANGUAGE, `errors.${errorCode}`, errorParams) 
+    };
+}
+
+// Mobile number example for the region the input was read in, for invalid_number
+function getPhoneExample(region) {
+    const example = getExampleNumber(region, mobileExamples) || getExampleNumber(CONFIG.DEFAULT_REGION, mobileExamples);
+    return example ? { national: example.formatNational(), international: example.formatInternational() } : {};
+}
+
+function buildPhoneResult(parsed, cleanNumber, source) {
+    return {
+        isValid: true,
+        formatted: parsed.number,
+        international: parsed.formatInternational(),
+        countryCode: parsed.countryCallingCode,
+        country: parsed.country || 'Unknown',
+        nationalNumber: parsed.nationalNumber,
+        type: parsed.getType() || 'UNKNOWN',
+        rawNumber: cleanNumber,
+        source: source
+    };
+}
+
+// Accepts international (+2547..., 002547...) or national (07..., 7...) input.
+// National numbers are read in the submitted calling code's numbering plan,
+// falling back to CONFIG.DEFAULT_REGION. Returns E.164 in `formatted`, or
+// `errorCode` (missing_number, invalid_country_code, too_short, too_long,
+// invalid_number, not_mobile) with a human-readable `error`.
+function validateAndFormatPhoneNumber(phoneNumber, options = {}) {
     try {
-        let cleanNumber = phoneNumber.toString().trim().replace(/[^\d+]/g, '');
+        if (phoneNumber === undefined || phoneNumber === null || String(phoneNumber).trim() === '') {
+            return phoneValidationError('missing_number');
+        }
+        
+        let cleanNumber = String(phoneNumber).trim().replace(/[^\d+]/g, '');
+        if (cleanNumber.startsWith('00')) {
+            cleanNumber = '+' + cleanNumber.substring(2);
+        }
+        
+        let parseOptions = { defaultCountry: CONFIG.DEFAULT_REGION };
+        let region = CONFIG.DEFAULT_REGION;
+        if (options.countryCode !== undefined && options.countryCode !== null && options.countryCode !== '') {
+            const callingCode = String(options.countryCode).replace(/\D/g, '');
+            if (!SUPPORTED_CALLING_CODES.has(callingCode)) {
+                return phoneValidationError('invalid_country_code', { countryCode: options.countryCode });
+            }
+            parseOptions = { defaultCallingCode: callingCode };
+            // The first country listed for a calling code is its main one (US for +1)
+            region = phoneMetadata.country_calling_codes[callingCode][0];
+        }
         
-        if (cleanNumber.startsWith('0') && cleanNumber.length >= 9) {
-            cleanNumber = '+254' + cleanNumber.substring(1);
-        } else if (!cleanNumber.startsWith('+') && cleanNumber.length >= 9) {
-            cleanNumber = '+' + cleanNumber;
+        let parsed = parsePhoneNumberFromString(cleanNumber, parseOptions);
+        
+        // Bare digits may already include the country code (e.g. 254723278526)
+        if ((!parsed || !parsed.isValid()) && !cleanNumber.startsWith('+')) {
+            const international = parsePhoneNumberFromString('+' + cleanNumber);
+            if (international && international.isValid()) {
+                parsed = international;
+            }
         }
         
-        const parsed = parsePhoneNumberFromString(cleanNumber);
         if (parsed && parsed.isValid()) {
-            return {
-                isValid: true,
-                formatted: parsed.number,
-                international: parsed.formatInternational(),
-                countryCode: parsed.countryCallingCode,
-                country: parsed.country || 'Unknown',
-                nationalNumber: parsed.nationalNumber,
-                rawNumber: cleanNumber,
-                source: 'libphonenumber'
-            };
+            const type = parsed.getType();
+            if (type && !WHATSAPP_NUMBER_TYPES.includes(type)) {
+                return phoneValidationError('not_mobile', { type: type.toLowerCase().replace(/_/g, ' ') });
+            }
+            return buildPhoneResult(parsed, cleanNumber, 'libphonenumber');
         }
         
-        const phoneResult = phone(cleanNumber);
+        // The phone package only accepts numbers with a known mobile prefix
+        const phoneResult = phone(cleanNumber.startsWith('+') ? cleanNumber : '+' + cleanNumber);
         if (phoneResult.isValid) {
-            return {
-                isValid: true,
-                formatted: phoneResult.phoneNumber,
-                international: phoneResult.phoneNumber,
-                countryCode: phoneResult.countryCode,
-                country: phoneResult.countryIso2 || 'Unknown',
-                nationalNumber: phoneResult.phoneNumber.replace(`+${phoneResult.countryCode}`, ''),
-                rawNumber: cleanNumber,
-                source: 'phone'
-            };
+            const fallback = parsePhoneNumberFromString(phoneResult.phoneNumber);
+            if (fallback) {
+                return buildPhoneResult(fallback, cleanNumber, 'phone');
+            }
         }
         
-        return { 
-            isValid: false, 
-            error: 'Invalid phone number format. Please use format: 723278526 or +254723278526' 
-        };
+        switch (validatePhoneNumberLength(cleanNumber, parseOptions)) {
+            case 'TOO_SHORT':
+                return phoneValidationError('too_short');
+            case 'TOO_LONG':
+                return phoneValidationError('too_long');
+            default:
+                return phoneValidationError('invalid_number', getPhoneExample(region));
+        }
         
     } catch (error) {
-        console.error('Phone validation error:', error);
-        return { 
-            isValid: false, 
-            error: 'Validation error: ' + error.message 
-        };
+        logger.error({ err: error }, 'phone validation failed');
+        return phoneValidationError('invalid_number', getPhoneExample(CONFIG.DEFAULT_REGION));
     }
 }
 
@@ -156,24 +669,35 @@ function cleanupExpiredCodes() {
     const now = new Date();
     let cleaned = 0;
     
-    for (const [code, data] of pairingCodes.entries()) {
+    // Each record is indexed under both its raw and display code
+    const records = new Set(pairingCodes.values());
+    
+    const retentionMs = CONFIG.CODE_RETENTION_MINUTES * 60 * 1000;
+    
+    for (const data of records) {
         if (data.expiresAt && new Date(data.expiresAt) < now && data.status === 'pending') {
-            pairingCodes.delete(code);
+            expireCode(data);
+        }
+        
+        // Closed codes stay queryable on /sessions/:sessionId/status for a while
+        const closedAt = TERMINAL_CODE_STATUSES.includes(data.status) && data[`${data.status}At`];
+        if (closedAt && now - new Date(closedAt) > retentionMs) {
+            deleteCodeRecord(data);
+            records.delete(data);
             cleaned++;
         }
     }
     
     if (cleaned > 0) {
-        console.log(`🗑️ Cleaned ${cleaned} expired pairing codes`);
+        codeLog.info({ count: cleaned }, 'closed pairing codes cleaned');
     }
     
-    if (pairingCodes.size > CONFIG.MAX_SESSIONS) {
-        const entries = Array.from(pairingCodes.entries());
-        const sorted = entries.sort((a, b) => new Date(a[1].createdAt) - new Date(b[1].createdAt));
-        const toRemove = sorted.slice(0, pairingCodes.size - CONFIG.MAX_SESSIONS);
+    if (records.size > CONFIG.MAX_SESSIONS) {
+        const sorted = Array.from(records).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const toRemove = sorted.slice(0, records.size - CONFIG.MAX_SESSIONS);
         
-        toRemove.forEach(([code]) => pairingCodes.delete(code));
-        console.log(`📉 Limited to ${CONFIG.MAX_SESSIONS} sessions, removed ${toRemove.length} oldest`);
+        toRemove.forEach((data) => deleteCodeRecord(data));
+        codeLog.warn({ limit: CONFIG.MAX_SESSIONS, removed: toRemove.length }, 'pairing code limit reached, oldest codes removed');
     }
 }
 
@@ -181,114 +705,801 @@ function getStatusColor(status) {
     switch(status) {
         case 'online': return '#28a745';
         case 'qr_ready': return '#ffc107';
+        case 'pairing': return '#ffc107';
         case 'connecting': return '#17a2b8';
         case 'disconnected': return '#dc3545';
         default: return '#6c757d';
     }
 }
 
-function getStatusText(status) {
-    switch(status) {
-        case 'online': return '✅ ONLINE - Ready for Pairing';
-        case 'qr_ready': return '📱 QR READY - Scan to Connect';
-        case 'connecting': return '🔄 CONNECTING...';
-        case 'disconnected': return '❌ DISCONNECTED - Retrying...';
-        default: return '⚙️ UNKNOWN';
+function getStatusText(status, language = CONFIG.DEFAULT_LANGUAGE) {
+    const known = ['online', 'qr_ready', 'pairing', 'connecting', 'disconnected', 'expired'];
+    return translate(language, `status.${known.includes(status) ? status : 'unknown'}`);
+}
+
+const QR_RENDER_OPTIONS = {
+    errorCorrectionLevel: 'H',
+    margin: 2,
+    width: 400,
+    color: {
+        dark: '#000000FF',
+        light: '#FFFFFFFF'
     }
+};
+
+function renderQRImage(qr) {
+    return QRCode.toDataURL(qr, QR_RENDER_OPTIONS);
 }
 
-// ==================== WHATSAPP BOT INITIALIZATION ====================
-async function initWhatsApp() {
-    if (isConnecting) {
-        console.log('⚠️ WhatsApp connection already in progress...');
-        return;
+async function getBaileysVersion() {
+    if (baileysVersion) {
+        return baileysVersion;
     }
     
-    console.log('\n' + '═'.repeat(50));
-    console.log(`${CONFIG.COMPANY_NAME} WhatsApp Pairing Service v${CONFIG.VERSION}`);
-    console.log(`📞 Support: ${CONFIG.COMPANY_CONTACT}`);
-    console.log('═'.repeat(50) + '\n');
+    try {
+        const versionInfo = await fetchLatestBaileysVersion();
+        baileysVersion = versionInfo.version;
+        socketLog.info({ baileysVersion: baileysVersion.join('.') }, 'using latest Baileys version');
+    } catch (error) {
+        socketLog.warn({ err: error }, 'could not fetch latest Baileys version, using default');
+        return [6, 0, 0];
+    }
     
-    isConnecting = true;
-    connectionStartTime = Date.now();
-    botStatus = 'connecting';
-    lastConnectionUpdate = new Date();
+    return baileysVersion;
+}
+
+// ==================== AUTH STATE STORES ====================
+// Every store keeps Baileys auth entries as serialized JSON strings under
+// file-name-safe keys ('creds', 'pre-key-1', ...) and implements:
+// read(key), write(key, value), remove(key), list() and clear().
+let sqliteDb = null;
+let encryptedStores = new Map();
+
+function fixAuthKey(key) {
+    return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+function createFileAuthStore(dir) {
+    const fileFor = (key) => path.join(dir, `${key}.json`);
     
-    try {
-        const authDir = path.join(__dirname, 'auth_info');
-        await fs.ensureDir(authDir);
-        
-        try {
-            const files = await fs.readdir(authDir);
-            const now = Date.now();
-            const oneDayAgo = now - (24 * 60 * 60 * 1000);
-            
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const filePath = path.join(authDir, file);
-                    const stats = await fs.stat(filePath);
-                    
-                    if (stats.mtimeMs < oneDayAgo) {
-                        await fs.unlink(filePath);
-                        console.log(`🗑️ Removed old auth file: ${file}`);
-                    }
+    return {
+        type: 'file',
+        async read(key) {
+            try {
+                return await fs.readFile(fileFor(key), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
                 }
+                throw error;
             }
-        } catch (err) {
-            // Ignore errors during cleanup
+        },
+        async write(key, value) {
+            await fs.ensureDir(dir);
+            await fs.writeFile(fileFor(key), value, 'utf8');
+        },
+        async remove(key) {
+            await fs.remove(fileFor(key));
+        },
+        async list() {
+            if (!(await fs.pathExists(dir))) {
+                return [];
+            }
+            const files = await fs.readdir(dir);
+            return files.filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -5));
+        },
+        async clear() {
+            await fs.remove(dir);
+        }
+    };
+}
+
+function getSqliteDatabase() {
+    if (sqliteDb) {
+        return sqliteDb;
+    }
+    
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite storage requires the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+    
+    fs.ensureDirSync(path.dirname(CONFIG.SQLITE_PATH));
+    sqliteDb = new Database(CONFIG.SQLITE_PATH);
+    sqliteDb.pragma('journal_mode = WAL');
+    sqliteDb.exec(`
+        CREATE TABLE IF NOT EXISTS auth_state (
+            namespace TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (namespace, key)
+        )
+    `);
+    
+    return sqliteDb;
+}
+
+function createSqliteAuthStore(namespace) {
+    const db = getSqliteDatabase();
+    const statements = {
+        read: db.prepare('SELECT value FROM auth_state WHERE namespace = ? AND key = ?'),
+        write: db.prepare(`
+            INSERT INTO auth_state (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM auth_state WHERE namespace = ? AND key = ?'),
+        list: db.prepare('SELECT key FROM auth_state WHERE namespace = ?'),
+        clear: db.prepare('DELETE FROM auth_state WHERE namespace = ?')
+    };
+    
+    return {
+        type: 'sqlite',
+        async read(key) {
+            const row = statements.read.get(namespace, key);
+            return row ? row.value : null;
+        },
+        async write(key, value) {
+            statements.write.run(namespace, key, value, Date.now());
+        },
+        async remove(key) {
+            statements.remove.run(namespace, key);
+        },
+        async list() {
+            return statements.list.all(namespace).map((row) => row.key);
+        },
+        async clear() {
+            statements.clear.run(namespace);
+        }
+    };
+}
+
+function createEncryptedAuthStore(filePath) {
+    if (!CONFIG.AUTH_ENCRYPTION_KEY) {
+        throw new Error('AUTH_ENCRYPTION_KEY must be set to use the encrypted auth store');
+    }
+    
+    // The decrypted entries are cached, so every caller must share one instance per file
+    if (encryptedStores.has(filePath)) {
+        return encryptedStores.get(filePath);
+    }
+    
+    // File layout: salt (16) | iv (12) | auth tag (16) | AES-256-GCM ciphertext
+    let entries = null;
+    let salt = null;
+    let key = null;
+    let loading = null;
+    let writing = Promise.resolve();
+    let pending = null;
+    
+    async function loadEntries() {
+        if (!(await fs.pathExists(filePath))) {
+            salt = crypto.randomBytes(16);
+            key = crypto.scryptSync(CONFIG.AUTH_ENCRYPTION_KEY, salt, 32);
+            entries = {};
+            return entries;
         }
         
-        const { state, saveCreds } = await useMultiFileAuthState(authDir);
+        const raw = await fs.readFile(filePath);
+        salt = raw.subarray(0, 16);
+        key = crypto.scryptSync(CONFIG.AUTH_ENCRYPTION_KEY, salt, 32);
         
-        let version;
         try {
-            const versionInfo = await fetchLatestBaileysVersion();
-            version = versionInfo.version;
-            console.log(`📦 Using Baileys version: ${version.join('.')}`);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(16, 28));
+            decipher.setAuthTag(raw.subarray(28, 44));
+            const plain = Buffer.concat([decipher.update(raw.subarray(44)), decipher.final()]);
+            entries = JSON.parse(plain.toString('utf8'));
         } catch (error) {
-            console.log('⚠️ Could not fetch latest version, using default');
-            version = [6, 0, 0];
+            throw new Error(`Cannot decrypt auth store ${filePath}: wrong AUTH_ENCRYPTION_KEY or corrupted file`);
         }
         
-        const sock = makeWASocket({
-            version,
-            auth: state,
-            logger: pino({ level: 'silent' }),
-            browser: Browsers.ubuntu('Chrome'),
-            printQRInTerminal: false,
-            connectTimeoutMs: CONFIG.CONNECTION_TIMEOUT,
-            keepAliveIntervalMs: 25000,
-            emitOwnEvents: true,
-            defaultQueryTimeoutMs: 0,
-            syncFullHistory: false,
-            markOnlineOnConnect: true,
-            generateHighQualityLinkPreview: true,
-        });
+        return entries;
+    }
+    
+    // Concurrent first calls share one load, otherwise each would start from its own empty object
+    function load() {
+        if (!loading) {
+            loading = loadEntries().catch((error) => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    }
+    
+    async function writeFile() {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+        const tmpPath = `${filePath}.tmp`;
         
-        sock.ev.on('connection.update', async (update) => {
-            const { connection, qr, lastDisconnect, isNewLogin } = update;
-            lastConnectionUpdate = new Date();
-            
-            if (qr) {
-                currentQR = qr;
-                botStatus = 'qr_ready';
-                autoActivationAttempts++;
-                
-                console.log(`\n⚠️ QR Code Generated (Attempt ${autoActivationAttempts}/${CONFIG.MAX_QR_ATTEMPTS})`);
-                console.log('📱 Please scan the QR code using WhatsApp');
-                
-                try {
-                    qrImageDataUrl = await QRCode.toDataURL(qr, {
-                        errorCorrectionLevel: 'H',
-                        margin: 2,
-                        width: 400,
-                        color: {
-                            dark: '#000000FF',
-                            light: '#FFFFFFFF'
-                        }
-                    });
-                    
-                    console.log('✅ QR Code image generated successfully');
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(tmpPath, Buffer.concat([salt, iv, cipher.getAuthTag(), encrypted]));
+        await fs.rename(tmpPath, filePath);
+    }
+    
+    // Coalesce bursts of key updates into a single re-encryption of the file
+    function persist() {
+        if (!pending) {
+            pending = writing.then(() => {
+                pending = null;
+                return writeFile();
+            });
+            writing = pending.catch(() => {});
+        }
+        return pending;
+    }
+    
+    const store = {
+        type: 'encrypted',
+        async read(key) {
+            const data = await load();
+            return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+        },
+        async write(key, value) {
+            const data = await load();
+            data[key] = value;
+            await persist();
+        },
+        async remove(key) {
+            const data = await load();
+            if (Object.prototype.hasOwnProperty.call(data, key)) {
+                delete data[key];
+                await persist();
+            }
+        },
+        async list() {
+            return Object.keys(await load());
+        },
+        async clear() {
+            await writing;
+            entries = null;
+            loading = null;
+            await fs.remove(filePath);
+        }
+    };
+    
+    encryptedStores.set(filePath, store);
+    return store;
+}
+
+function createAuthStore(namespace, dir) {
+    switch (CONFIG.AUTH_STORE) {
+        case 'file': return createFileAuthStore(dir);
+        case 'sqlite': return createSqliteAuthStore(namespace);
+        case 'encrypted': return createEncryptedAuthStore(path.join(CONFIG.DATA_DIR, 'auth', `${namespace}.enc`));
+        default: throw new Error(`Unknown AUTH_STORE "${CONFIG.AUTH_STORE}" (expected file, sqlite or encrypted)`);
+    }
+}
+
+async function readAuthJson(store, key) {
+    const raw = await store.read(key);
+    return raw ? JSON.parse(raw, BufferJSON.reviver) : null;
+}
+
+function writeAuthJson(store, key, data) {
+    return store.write(key, JSON.stringify(data, BufferJSON.replacer));
+}
+
+// Store-agnostic equivalent of Baileys' useMultiFileAuthState
+async function useStoreAuthState(store) {
+    const creds = (await readAuthJson(store, 'creds')) || initAuthCreds();
+    
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    await Promise.all(ids.map(async (id) => {
+                        let value = await readAuthJson(store, fixAuthKey(`${type}-${id}`));
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                set: async (data) => {
+                    const tasks = [];
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            const key = fixAuthKey(`${category}-${id}`);
+                            tasks.push(value ? writeAuthJson(store, key, value) : store.remove(key));
+                        }
+                    }
+                    await Promise.all(tasks);
+                }
+            }
+        },
+        saveCreds: () => writeAuthJson(store, 'creds', creds)
+    };
+}
+
+// ==================== RECORD STORE ====================
+// Pairing codes and session records are written through to this store so a
+// restart can rehydrate them. Both backends implement:
+// load(), putCode(record), removeCode(code), putSession(record), removeSession(sessionId), flush()
+function createJsonRecordStore(filePath) {
+    let data = { codes: {}, sessions: {} };
+    let writing = Promise.resolve();
+    let pending = null;
+    
+    async function writeFile() {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.rename(tmpPath, filePath);
+    }
+    
+    function persist() {
+        if (!pending) {
+            pending = writing.then(() => {
+                pending = null;
+                return writeFile();
+            });
+            writing = pending.catch(() => {});
+        }
+        return pending;
+    }
+    
+    return {
+        type: 'json',
+        async load() {
+            if (await fs.pathExists(filePath)) {
+                const stored = await fs.readJson(filePath);
+                // Anything written before the first load wins over the stored copy
+                data = {
+                    codes: { ...stored.codes, ...data.codes },
+                    sessions: { ...stored.sessions, ...data.sessions }
+                };
+            }
+            return {
+                codes: Object.values(data.codes),
+                sessions: Object.values(data.sessions)
+            };
+        },
+        putCode(record) {
+            data.codes[record.code] = record;
+            return persist();
+        },
+        removeCode(code) {
+            delete data.codes[code];
+            return persist();
+        },
+        putSession(record) {
+            data.sessions[record.sessionId] = record;
+            return persist();
+        },
+        removeSession(sessionId) {
+            delete data.sessions[sessionId];
+            return persist();
+        },
+        flush() {
+            return writing;
+        }
+    };
+}
+
+function createSqliteRecordStore() {
+    const db = getSqliteDatabase();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS pairing_codes (
+            code TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS session_records (
+            session_id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+    `);
+    
+    const statements = {
+        codes: db.prepare('SELECT data FROM pairing_codes'),
+        putCode: db.prepare(`
+            INSERT INTO pairing_codes (code, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (code) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `),
+        removeCode: db.prepare('DELETE FROM pairing_codes WHERE code = ?'),
+        sessions: db.prepare('SELECT data FROM session_records'),
+        putSession: db.prepare(`
+            INSERT INTO session_records (session_id, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (session_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `),
+        removeSession: db.prepare('DELETE FROM session_records WHERE session_id = ?')
+    };
+    
+    return {
+        type: 'sqlite',
+        async load() {
+            return {
+                codes: statements.codes.all().map((row) => JSON.parse(row.data)),
+                sessions: statements.sessions.all().map((row) => JSON.parse(row.data))
+            };
+        },
+        async putCode(record) {
+            statements.putCode.run(record.code, JSON.stringify(record), Date.now());
+        },
+        async removeCode(code) {
+            statements.removeCode.run(code);
+        },
+        async putSession(record) {
+            statements.putSession.run(record.sessionId, JSON.stringify(record), Date.now());
+        },
+        async removeSession(sessionId) {
+            statements.removeSession.run(sessionId);
+        },
+        async flush() {}
+    };
+}
+
+function createRecordStore() {
+    switch (CONFIG.RECORD_STORE) {
+        case 'json': return createJsonRecordStore(path.join(CONFIG.DATA_DIR, 'pairing-records.json'));
+        case 'sqlite': return createSqliteRecordStore();
+        default: throw new Error(`Unknown RECORD_STORE "${CONFIG.RECORD_STORE}" (expected json or sqlite)`);
+    }
+}
+
+const recordStore = createRecordStore();
+
+function logRecordStoreError(error) {
+    codeLog.error({ err: error }, 'could not persist pairing records');
+}
+
+function saveCodeRecord(codeData) {
+    pairingCodes.set(codeData.code, codeData);
+    pairingCodes.set(codeData.displayCode, codeData);
+    
+    // QR payloads are tied to the socket that produced them, so they are not kept
+    const { qrData, qrImage, ...record } = codeData;
+    recordStore.putCode(record).catch(logRecordStoreError);
+}
+
+function deleteCodeRecord(codeData) {
+    pairingCodes.delete(codeData.code);
+    pairingCodes.delete(codeData.displayCode);
+    recordStore.removeCode(codeData.code).catch(logRecordStoreError);
+}
+
+function saveSessionRecord(session) {
+    recordStore.putSession({
+        sessionId: session.sessionId,
+        type: session.type,
+        phoneNumber: session.phoneNumber,
+        status: session.status,
+        pairingCode: session.pairingCode,
+        linkedNumber: session.user?.id || null,
+        createdAt: session.createdAt,
+        connectedAt: session.connectedAt,
+        deliveredAt: session.deliveredAt
+    }).catch(logRecordStoreError);
+}
+
+function deleteSessionRecord(sessionId) {
+    recordStore.removeSession(sessionId).catch(logRecordStoreError);
+}
+
+function reviveDate(value) {
+    return value ? new Date(value) : null;
+}
+
+async function restorePersistedState() {
+    const { codes, sessions: sessionRecords } = await recordStore.load();
+    const now = Date.now();
+    let restoredCodes = 0;
+    let restoredSessions = 0;
+    
+    for (const record of codes) {
+        const codeData = {
+            ...record,
+            createdAt: reviveDate(record.createdAt),
+            expiresAt: reviveDate(record.expiresAt),
+            linkedAt: reviveDate(record.linkedAt),
+            deliveredAt: reviveDate(record.deliveredAt),
+            expiredAt: reviveDate(record.expiredAt),
+            failedAt: reviveDate(record.failedAt),
+            revokedAt: reviveDate(record.revokedAt),
+            qrData: null,
+            qrImage: null
+        };
+        
+        pairingCodes.set(codeData.code, codeData);
+        pairingCodes.set(codeData.displayCode, codeData);
+        restoredCodes++;
+        
+        if (codeData.status === 'pending' && codeData.expiresAt && codeData.expiresAt.getTime() <= now) {
+            transitionCode(codeData, 'expired', { reason: 'expired_while_offline' });
+            continue;
+        }
+        
+        if (codeData.status === 'pending') {
+            armCodeExpiry(codeData);
+        }
+    }
+    
+    for (const record of sessionRecords) {
+        const codeData = findCodeBySession(record.sessionId);
+        const wasLinked = Boolean(record.connectedAt);
+        const stillPairing = codeData && codeData.status === 'pending';
+        const authStore = getSessionAuthStore(record.sessionId);
+        
+        if ((!wasLinked && !stillPairing) || !(await authStore.read('creds'))) {
+            deleteSessionRecord(record.sessionId);
+            continue;
+        }
+        
+        try {
+            await startSession(record.sessionId, {
+                type: record.type,
+                phoneNumber: record.phoneNumber,
+                pairingCode: record.pairingCode,
+                createdAt: reviveDate(record.createdAt),
+                connectedAt: reviveDate(record.connectedAt),
+                deliveredAt: reviveDate(record.deliveredAt)
+            });
+            restoredSessions++;
+        } catch (error) {
+            socketLog.error({ err: error, sessionId: record.sessionId }, 'could not restore session');
+        }
+    }
+    
+    logger.info({ codes: restoredCodes, sessions: restoredSessions, store: recordStore.type }, 'persisted state restored');
+}
+
+// ==================== RECONNECT CONTROLLER ====================
+// Every reconnect of the service socket goes through here: at most one
+// pending attempt, exponential backoff with jitter, and a breaker that stops
+// retrying after repeated failures until an admin restarts the socket.
+const reconnectController = {
+    state: 'idle',
+    consecutiveFailures: 0,
+    lastReason: null,
+    lastStatusCode: null,
+    nextAttemptAt: null,
+    stoppedAt: null,
+    stopReason: null,
+    timer: null,
+    generation: 0
+};
+
+function getDisconnectPolicy(statusCode) {
+    switch (statusCode) {
+        case DisconnectReason.restartRequired:
+            // Sent after a scan or code entry; reconnect at once with the new creds
+            return { action: 'restart' };
+        case DisconnectReason.loggedOut:
+        case DisconnectReason.badSession:
+        case DisconnectReason.multideviceMismatch:
+            // The stored creds can't be used again, so start over with a fresh QR
+            return { action: 'backoff', clearCreds: true };
+        case DisconnectReason.connectionReplaced:
+            // Another client opened this session; reconnecting would kick it off in turn
+            return { action: 'stop', reason: 'connection_replaced' };
+        case DisconnectReason.forbidden:
+            return { action: 'stop', reason: 'forbidden' };
+        default:
+            return { action: 'backoff' };
+    }
+}
+
+function getReconnectDelay(failures) {
+    const ceiling = Math.min(
+        CONFIG.RECONNECT_BASE_DELAY_MS * 2 ** (failures - 1),
+        CONFIG.RECONNECT_MAX_DELAY_MS
+    );
+    // Wait at least half the backoff, the rest is random
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function getReconnectInfo() {
+    return {
+        state: reconnectController.state,
+        consecutiveFailures: reconnectController.consecutiveFailures,
+        maxFailures: CONFIG.RECONNECT_MAX_FAILURES,
+        lastReason: reconnectController.lastReason,
+        lastStatusCode: reconnectController.lastStatusCode,
+        nextAttemptAt: reconnectController.nextAttemptAt,
+        stoppedAt: reconnectController.stoppedAt,
+        stopReason: reconnectController.stopReason
+    };
+}
+
+function setReconnectState(state) {
+    reconnectController.state = state;
+    emitServiceEvent('status', getServiceStatus());
+}
+
+function scheduleReconnect(reason, options = {}) {
+    if (reconnectController.state === 'stopped') {
+        return;
+    }
+    
+    clearTimeout(reconnectController.timer);
+    reconnectController.lastReason = reason;
+    
+    if (options.statusCode !== undefined) {
+        recordReconnect('service', options.statusCode);
+    }
+    
+    let delay = 0;
+    if (!options.immediate) {
+        reconnectController.consecutiveFailures++;
+        
+        if (reconnectController.consecutiveFailures >= CONFIG.RECONNECT_MAX_FAILURES) {
+            tripReconnectBreaker('too_many_failures');
+            return;
+        }
+        
+        delay = getReconnectDelay(reconnectController.consecutiveFailures);
+    }
+    
+    reconnectController.nextAttemptAt = new Date(Date.now() + delay);
+    reconnectController.timer = setTimeout(() => {
+        reconnectController.timer = null;
+        reconnectController.nextAttemptAt = null;
+        initWhatsApp();
+    }, delay);
+    
+    socketLog.info({
+        reason: reason,
+        delayMs: delay,
+        failures: reconnectController.consecutiveFailures
+    }, 'reconnect scheduled');
+    setReconnectState('scheduled');
+}
+
+function tripReconnectBreaker(reason) {
+    clearTimeout(reconnectController.timer);
+    reconnectController.timer = null;
+    reconnectController.nextAttemptAt = null;
+    reconnectController.stoppedAt = new Date();
+    reconnectController.stopReason = reason;
+    
+    socketLog.error({
+        reason: reason,
+        failures: reconnectController.consecutiveFailures
+    }, 'reconnects stopped, waiting for an admin restart');
+    setReconnectState('stopped');
+    emitServiceEvent('bot.reconnect_stopped', { reason });
+    
+    if (activeSocket && botStatus !== 'disconnected') {
+        try {
+            activeSocket.end(undefined);
+        } catch (error) {
+            // Socket may already be closed
+        }
+    }
+}
+
+// Ends the service socket without scheduling a reconnect
+function detachServiceSocket() {
+    reconnectController.generation++;
+    clearTimeout(reconnectController.timer);
+    reconnectController.timer = null;
+    reconnectController.nextAttemptAt = null;
+    
+    // Cleared first so the socket's close event is ignored
+    const previous = activeSocket;
+    activeSocket = null;
+    isConnecting = false;
+    socketOpenedAt = null;
+    
+    if (previous) {
+        try {
+            previous.end(undefined);
+        } catch (error) {
+            // Socket may already be closed
+        }
+    }
+    
+    setBotStatus('disconnected');
+}
+
+// Clears the breaker and backoff and connects again with a fresh socket
+async function restartWhatsApp() {
+    detachServiceSocket();
+    Object.assign(reconnectController, {
+        state: 'idle',
+        consecutiveFailures: 0,
+        lastReason: 'admin_restart',
+        lastStatusCode: null,
+        nextAttemptAt: null,
+        stoppedAt: null,
+        stopReason: null,
+        timer: null
+    });
+    autoActivationAttempts = 0;
+    
+    return initWhatsApp();
+}
+
+// ==================== WHATSAPP BOT INITIALIZATION ====================
+async function initWhatsApp() {
+    if (isConnecting) {
+        socketLog.warn('WhatsApp connection already in progress');
+        return;
+    }
+    
+    if (reconnectController.state === 'stopped') {
+        socketLog.warn({ reason: reconnectController.stopReason }, 'reconnects are stopped, use the admin restart');
+        return;
+    }
+    
+    socketLog.info('connecting to WhatsApp');
+    
+    isConnecting = true;
+    setReconnectState('connecting');
+    connectionStartTime = Date.now();
+    lastConnectionUpdate = new Date();
+    setBotStatus('connecting');
+    
+    const generation = reconnectController.generation;
+    
+    try {
+        const authStore = getServiceAuthStore();
+        const { state, saveCreds } = await useStoreAuthState(authStore);
+        
+        const version = await getBaileysVersion();
+        
+        // Detached (restart, restore or reset) while loading credentials
+        if (generation !== reconnectController.generation) {
+            return;
+        }
+        
+        const sock = makeWASocket({
+            version,
+            auth: state,
+            logger: socketLog.child({ module: 'baileys' }, { level: CONFIG.BAILEYS_LOG_LEVEL }),
+            browser: Browsers.ubuntu('Chrome'),
+            printQRInTerminal: false,
+            connectTimeoutMs: CONFIG.CONNECTION_TIMEOUT,
+            keepAliveIntervalMs: 25000,
+            emitOwnEvents: true,
+            defaultQueryTimeoutMs: 0,
+            syncFullHistory: false,
+            markOnlineOnConnect: true,
+            generateHighQualityLinkPreview: true,
+        });
+        
+        activeSocket = sock;
+        activeSaveCreds = saveCreds;
+        
+        sock.ev.on('connection.update', async (update) => {
+            const { connection, qr, lastDisconnect, isNewLogin } = update;
+            
+            // Replaced by an admin restart
+            if (activeSocket !== sock) {
+                return;
+            }
+            
+            lastConnectionUpdate = new Date();
+            
+            if (qr) {
+                autoActivationAttempts++;
+                
+                if (autoActivationAttempts > CONFIG.MAX_QR_ATTEMPTS) {
+                    tripReconnectBreaker('qr_attempts_exhausted');
+                    return;
+                }
+                
+                currentQR = qr;
+                setBotStatus('qr_ready');
+                
+                socketLog.info({ attempt: autoActivationAttempts, maxAttempts: CONFIG.MAX_QR_ATTEMPTS }, 'QR code generated, waiting for scan');
+                
+                try {
+                    qrImageDataUrl = await renderQRImage(qr);
+                    emitServiceEvent('qr', {
+                        qrImage: qrImageDataUrl,
+                        attempt: autoActivationAttempts,
+                        maxAttempts: CONFIG.MAX_QR_ATTEMPTS
+                    });
                     
                     const sessionInfo = {
                         createdAt: new Date().toISOString(),
@@ -299,34 +1510,36 @@ async function initWhatsApp() {
                         attempt: autoActivationAttempts
                     };
                     
-                    await fs.writeJson(path.join(authDir, 'session_info.json'), sessionInfo, { spaces: 2 });
+                    await writeAuthJson(authStore, 'session_info', sessionInfo);
                     
                 } catch (qrError) {
-                    console.error('❌ QR Code generation error:', qrError.message);
+                    socketLog.error({ err: qrError }, 'QR code image generation failed');
                 }
                 
-                if (autoActivationAttempts >= CONFIG.MAX_QR_ATTEMPTS) {
-                    console.log(`\n🚫 Maximum QR attempts reached (${CONFIG.MAX_QR_ATTEMPTS})`);
-                    console.log('📱 Please visit the web interface to scan the QR code');
+                if (autoActivationAttempts === CONFIG.MAX_QR_ATTEMPTS) {
+                    socketLog.warn({ maxAttempts: CONFIG.MAX_QR_ATTEMPTS }, 'last QR attempt, scan from the web interface');
                 }
             }
             
             if (connection === 'open') {
-                botStatus = 'online';
                 isConnecting = false;
                 autoActivationAttempts = 0;
+                socketOpenedAt = Date.now();
+                reconnectController.consecutiveFailures = 0;
+                setBotStatus('online');
+                setReconnectState('open');
                 
                 const connectionTime = Date.now() - connectionStartTime;
-                console.log(`\n✅ ${CONFIG.COMPANY_NAME} WhatsApp Bot is ONLINE!`);
-                console.log(`⚡ Connection established in ${connectionTime}ms`);
-                console.log(`📱 Phone: ${sock.user?.id || 'Unknown'}`);
-                console.log(`⚡ Service ready for pairing codes\n`);
+                socketLog.info({ connectionTimeMs: connectionTime, jid: sock.user?.id || null }, 'WhatsApp connection open, ready for pairing codes');
                 
-                for (const [code, data] of pairingCodes.entries()) {
-                    if (data.status === 'pending') {
-                        data.status = 'linked';
-                        data.linkedAt = new Date();
-                        pairingCodes.set(code, data);
+                emitServiceEvent('bot.online', { phoneNumber: sock.user?.id || null });
+                
+                // Demo codes have no socket of their own; one counts as linked when
+                // the service account logs in with the number it was generated for
+                const linkedNumber = getJidPhoneNumber(sock.user?.id);
+                for (const data of new Set(pairingCodes.values())) {
+                    if (data.status === 'pending' && data.source === 'demo' && data.phoneNumber === linkedNumber) {
+                        transitionCode(data, 'linked', { reason: 'service_login' });
                     }
                 }
                 
@@ -337,46 +1550,57 @@ async function initWhatsApp() {
                     version: CONFIG.VERSION
                 };
                 
-                await fs.writeJson(path.join(authDir, 'connection_info.json'), connectionInfo, { spaces: 2 });
+                await writeAuthJson(authStore, 'connection_info', connectionInfo);
+                
+                createAuthBackup(resolveAuthTarget('service'), 'connected').catch((err) => {
+                    socketLog.error({ err }, 'could not back up credentials');
+                });
             }
             
             if (connection === 'close') {
                 const statusCode = lastDisconnect?.error?.output?.statusCode;
-                console.log(`\n⚠️ Connection closed. Status code: ${statusCode || 'unknown'}`);
+                const reason = getDisconnectReasonName(statusCode);
+                socketLog.warn({ statusCode, reason }, 'WhatsApp connection closed');
                 
-                botStatus = 'disconnected';
                 isConnecting = false;
+                socketOpenedAt = null;
+                reconnectController.lastStatusCode = statusCode || null;
+                setBotStatus('disconnected');
+                
+                if (reconnectController.state === 'stopped') {
+                    return;
+                }
                 
-                if (statusCode === DisconnectReason.loggedOut) {
-                    console.log('🔓 Logged out from WhatsApp. Cleaning session...');
+                const policy = getDisconnectPolicy(statusCode);
+                
+                if (policy.clearCreds) {
+                    socketLog.warn({ reason }, 'stored credentials are no longer valid, clearing them');
+                    if (statusCode === DisconnectReason.loggedOut) {
+                        emitServiceEvent('bot.logged_out', { statusCode });
+                    }
                     
                     try {
-                        const files = await fs.readdir(authDir);
-                        for (const file of files) {
-                            if (file.endsWith('.json')) {
-                                await fs.unlink(path.join(authDir, file));
-                            }
-                        }
-                        console.log('✅ Session cleaned successfully');
+                        await createAuthBackup(resolveAuthTarget('service'), 'invalidated');
                     } catch (err) {
-                        console.error('Error cleaning session:', err.message);
+                        socketLog.error({ err }, 'could not back up invalidated credentials');
                     }
                     
-                    console.log('🔄 Restarting connection in 10 seconds...');
-                    setTimeout(() => initWhatsApp(), 10000);
-                } else if (statusCode === DisconnectReason.restartRequired || 
-                          statusCode === DisconnectReason.timedOut ||
-                          statusCode === DisconnectReason.connectionLost) {
-                    console.log('🔄 Reconnecting in 5 seconds...');
-                    setTimeout(() => initWhatsApp(), 5000);
+                    try {
+                        await authStore.clear();
+                    } catch (err) {
+                        socketLog.error({ err }, 'could not clear credentials');
+                    }
+                }
+                
+                if (policy.action === 'stop') {
+                    tripReconnectBreaker(policy.reason);
                 } else {
-                    console.log('🔄 Attempting to reconnect in 10 seconds...');
-                    setTimeout(() => initWhatsApp(), 10000);
+                    scheduleReconnect(reason, { statusCode, immediate: policy.action === 'restart' });
                 }
             }
             
             if (isNewLogin) {
-                console.log('🆕 New login detected');
+                socketLog.info('new login detected');
             }
         });
         
@@ -386,897 +1610,2935 @@ async function initWhatsApp() {
             // Message handling can be added here
         });
         
-        activeSocket = sock;
-        console.log('🤖 WhatsApp client initialized successfully');
+        socketLog.debug('WhatsApp socket created');
         
         return sock;
         
     } catch (error) {
-        console.error('❌ WhatsApp initialization failed:', error.message);
-        botStatus = 'disconnected';
+        socketLog.error({ err: error }, 'WhatsApp initialization failed');
         isConnecting = false;
-        
-        console.log('🔄 Retrying connection in 15 seconds...');
-        setTimeout(() => initWhatsApp(), 15000);
+        setBotStatus('disconnected');
+        scheduleReconnect('init_failed');
     }
 }
 
-// ==================== PAIRING CODE MANAGEMENT ====================
-function generateNewPairingCode(phoneNumber = null, country = null) {
-    const code = generateAlphanumericCode();
-    const displayCode = formatDisplayCode(code);
-    const sessionId = generateSessionId();
-    const expiresAt = new Date(Date.now() + CONFIG.CODE_EXPIRY_MINUTES * 60 * 1000);
+// ==================== SESSION MANAGER ====================
+function getSessionAuthDir(sessionId) {
+    return path.join(CONFIG.SESSIONS_DIR, sessionId);
+}
+
+function getSessionAuthStore(sessionId) {
+    const session = sessions.get(sessionId);
+    return session ? session.authStore : createAuthStore(sessionId, getSessionAuthDir(sessionId));
+}
+
+async function startSession(sessionId, options = {}) {
+    let session = sessions.get(sessionId);
     
-    const codeData = {
-        code: code,
-        displayCode: displayCode,
-        phoneNumber: phoneNumber,
-        country: country,
-        sessionId: sessionId,
-        status: 'pending',
-        createdAt: new Date(),
-        expiresAt: expiresAt,
-        linkedAt: null,
-        qrData: currentQR,
-        qrImage: qrImageDataUrl,
-        attempts: 0,
-        generatedBy: CONFIG.COMPANY_NAME,
-        botStatus: botStatus,
-        isValid: true
-    };
+    if (!session) {
+        if (sessions.size >= CONFIG.MAX_SESSIONS) {
+            throw new Error(`Maximum of ${CONFIG.MAX_SESSIONS} sessions reached`);
+        }
+        
+        session = {
+            sessionId: sessionId,
+            type: options.type || 'pairing',
+            phoneNumber: options.phoneNumber || null,
+            authStore: createAuthStore(sessionId, getSessionAuthDir(sessionId)),
+            sock: null,
+            status: 'connecting',
+            qr: null,
+            qrImage: null,
+            qrAttempts: 0,
+            qrExpiresAt: null,
+            pairingCode: options.pairingCode || null,
+            deliveredAt: options.deliveredAt || null,
+            user: null,
+            createdAt: options.createdAt || new Date(),
+            connectedAt: options.connectedAt || null,
+            lastConnectionUpdate: null,
+            reconnectFailures: 0,
+            reconnectTimer: null,
+            nextReconnectAt: null
+        };
+        sessions.set(sessionId, session);
+    }
     
-    pairingCodes.set(code, codeData);
-    pairingCodes.set(displayCode, codeData);
-    lastGeneratedCode = code;
-    lastGeneratedDisplayCode = displayCode;
+    const { state, saveCreds } = await useStoreAuthState(session.authStore);
+    const version = await getBaileysVersion();
     
-    console.log(`🔤 Generated pairing code: ${displayCode}`);
-    if (phoneNumber) {
-        console.log(`📱 For phone: ${phoneNumber}`);
-    }
+    const sock = makeWASocket({
+        version,
+        auth: state,
+        logger: socketLog.child({ sessionId, module: 'baileys' }, { level: CONFIG.BAILEYS_LOG_LEVEL }),
+        browser: Browsers.ubuntu('Chrome'),
+        printQRInTerminal: false,
+        connectTimeoutMs: CONFIG.CONNECTION_TIMEOUT,
+        keepAliveIntervalMs: 25000,
+        defaultQueryTimeoutMs: 0,
+        syncFullHistory: false,
+        markOnlineOnConnect: false
+    });
     
-    setTimeout(() => {
-        if (pairingCodes.has(code) && pairingCodes.get(code).status === 'pending') {
-            pairingCodes.delete(code);
-            pairingCodes.delete(displayCode);
-            console.log(`🗑️ Expired code removed: ${displayCode}`);
-        }
-    }, CONFIG.CODE_EXPIRY_MINUTES * 60 * 1000);
+    session.sock = sock;
+    session.saveCreds = saveCreds;
+    session.lastConnectionUpdate = new Date();
+    setSessionStatus(session, 'connecting');
     
-    return {
-        code: code,
-        displayCode: displayCode,
-        sessionId: sessionId,
-        expiresAt: expiresAt,
-        country: country,
-        phoneNumber: phoneNumber,
-        status: 'pending'
-    };
+    sock.ev.on('creds.update', saveCreds);
+    sock.ev.on('connection.update', (update) => {
+        handleSessionUpdate(session, sock, update).catch((error) => {
+            socketLog.error({ err: error, sessionId }, 'session update failed');
+        });
+    });
+    
+    return session;
 }
 
-// ==================== ROUTES ====================
-app.get('/', (req, res) => {
-    const statusColor = getStatusColor(botStatus);
-    const statusText = getStatusText(botStatus);
-    const pairingCodesCount = pairingCodes.size;
-    const lastCode = lastGeneratedDisplayCode || 'None';
-    
-    const html = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${CONFIG.COMPANY_NAME} - WhatsApp Pairing Service</title>
-        <style>
-            * {
-                margin: 0;
-                padding: 0;
-                box-sizing: border-box;
-                font-family: 'Segoe UI', 'Roboto', 'Arial', sans-serif;
-            }
-            
-            body {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                min-height: 100vh;
-                padding: 20px;
-                display: flex;
-                justify-content: center;
-                align-items: center;
-            }
-            
-            .container {
-                background: white;
-                border-radius: 20px;
-                padding: 40px;
-                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-                max-width: 800px;
-                width: 100%;
-                margin: 20px;
-            }
-            
-            .header {
-                text-align: center;
-                margin-bottom: 30px;
-            }
-            
-            .logo {
-                width: 100px;
-                height: 100px;
-                border-radius: 20px;
-                object-fit: cover;
-                border: 4px solid #1a73e8;
-                margin-bottom: 20px;
-            }
-            
-            h1 {
-                color: #1a73e8;
-                font-size: 2.5rem;
-                margin-bottom: 10px;
-                font-weight: 700;
-            }
-            
-            .subtitle {
-                color: #666;
-                font-size: 1.1rem;
-                margin-bottom: 20px;
-            }
-            
-            .status-container {
-                background: #f8f9fa;
-                border-radius: 15px;
-                padding: 20px;
-                margin-bottom: 30px;
-                text-align: center;
-            }
-            
-            .status-badge {
-                display: inline-block;
-                padding: 10px 25px;
-                border-radius: 50px;
-                font-weight: 600;
-                font-size: 1.1rem;
-                margin-bottom: 15px;
-                background-color: ${statusColor};
-                color: white;
-            }
-            
-            .stats {
-                display: flex;
-                justify-content: space-around;
-                margin-top: 15px;
-                flex-wrap: wrap;
-                gap: 15px;
-            }
-            
-            .stat-item {
-                text-align: center;
-                padding: 15px;
-                background: white;
-                border-radius: 10px;
-                box-shadow: 0 5px 15px rgba(0,0,0,0.1);
-                min-width: 150px;
-            }
-            
-            .stat-number {
-                font-size: 2rem;
-                font-weight: 700;
-                color: #1a73e8;
-                margin-bottom: 5px;
-            }
-            
-            .stat-label {
-                color: #666;
-                font-size: 0.9rem;
-            }
-            
-            .pairing-section {
-                background: linear-gradient(135deg, #25D366 0%, #128C7E 100%);
-                border-radius: 15px;
-                padding: 30px;
-                margin-bottom: 30px;
-                color: white;
-            }
-            
-            .pairing-title {
-                font-size: 1.5rem;
-                margin-bottom: 20px;
-                text-align: center;
-            }
-            
-            .phone-input-container {
-                background: rgba(255, 255, 255, 0.1);
-                border-radius: 10px;
-                padding: 20px;
-                margin-bottom: 20px;
-            }
-            
-            .input-group {
-                display: flex;
-                gap: 10px;
-                margin-bottom: 15px;
-            }
-            
-            .country-select {
-                padding: 12px 15px;
-                border: none;
-                border-radius: 8px;
-                background: white;
-                color: #333;
-                font-weight: 600;
-                min-width: 100px;
-            }
-            
-            input[type="tel"] {
-                flex: 1;
-                padding: 12px 20px;
-                border: none;
-                border-radius: 8px;
-                font-size: 1rem;
-            }
-            
-            .example {
-                font-size: 0.9rem;
-                opacity: 0.8;
-                margin-top: 10px;
-            }
-            
-            .buttons {
-                display: flex;
-                gap: 15px;
-                justify-content: center;
-                flex-wrap: wrap;
-            }
-            
-            .btn {
-                padding: 15px 30px;
-                border: none;
-                border-radius: 50px;
-                font-size: 1rem;
-                font-weight: 600;
-                cursor: pointer;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                gap: 10px;
-                transition: all 0.3s ease;
-                min-width: 200px;
-            }
-            
-            .btn-primary {
-                background: #1a73e8;
-                color: white;
-            }
-            
-            .btn-secondary {
-                background: #ffc107;
-                color: #333;
-            }
-            
-            .btn-success {
-                background: #28a745;
-                color: white;
-            }
-            
-            .btn:hover {
-                transform: translateY(-2px);
-                box-shadow: 0 10px 20px rgba(0,0,0,0.2);
-            }
-            
-            .qr-section {
-                background: white;
-                border-radius: 15px;
-                padding: 30px;
-                margin-bottom: 30px;
-                text-align: center;
-                border: 2px solid #1a73e8;
-                display: none;
-            }
-            
-            .qr-title {
-                color: #1a73e8;
-                font-size: 1.5rem;
-                margin-bottom: 20px;
-            }
-            
-            #qrImage {
-                max-width: 300px;
-                width: 100%;
-                height: auto;
-                border-radius: 10px;
-                border: 2px solid #eee;
-                margin: 0 auto 20px;
-            }
-            
-            .code-display-section {
-                background: #f8f9fa;
-                border-radius: 15px;
-                padding: 30px;
-                margin-bottom: 30px;
-                text-align: center;
-                display: none;
-            }
-            
-            .code-display {
-                font-size: 3.5rem;
-                font-weight: 800;
-                letter-spacing: 5px;
-                color: #1a73e8;
-                margin: 20px 0;
-                font-family: 'Courier New', monospace;
-                background: white;
-                padding: 20px;
-                border-radius: 10px;
-                border: 3px dashed #1a73e8;
-            }
-            
-            .code-info {
-                color: #666;
-                margin-top: 15px;
-            }
-            
-            .instructions {
-                background: #f8f9fa;
-                border-radius: 15px;
-                padding: 25px;
-                margin-top: 30px;
-            }
-            
-            .instructions h3 {
-                color: #1a73e8;
-                margin-bottom: 15px;
-            }
-            
-            .instructions ol {
-                padding-left: 20px;
-                margin-bottom: 15px;
-            }
-            
-            .instructions li {
-                margin-bottom: 10px;
-                color: #555;
-            }
-            
-            .footer {
-                text-align: center;
-                margin-top: 30px;
-                color: #666;
-                font-size: 0.9rem;
-                border-top: 1px solid #eee;
-                padding-top: 20px;
-            }
-            
-            .notification {
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                padding: 15px 25px;
-                border-radius: 10px;
-                color: white;
-                font-weight: 600;
-                display: none;
-                z-index: 1000;
-                animation: slideIn 0.3s ease;
-            }
-            
-            @keyframes slideIn {
-                from {
-                    transform: translateX(100%);
-                    opacity: 0;
-                }
-                to {
-                    transform: translateX(0);
-                    opacity: 1;
-                }
-            }
+async function handleSessionUpdate(session, sock, update) {
+    const { connection, qr, lastDisconnect } = update;
+    
+    // A newer socket has replaced this one (e.g. after restartRequired)
+    if (session.sock !== sock || !sessions.has(session.sessionId)) {
+        return;
+    }
+    
+    session.lastConnectionUpdate = new Date();
+    
+    if (qr) {
+        if (session.type === 'qr' && session.qrAttempts >= CONFIG.MAX_QR_ATTEMPTS) {
+            await expireQrSession(session);
+            return;
+        }
+        
+        session.qr = qr;
+        session.qrAttempts++;
+        session.qrExpiresAt = new Date(Date.now() + CONFIG.QR_TTL_SECONDS * 1000);
+        setSessionStatus(session, session.pairingCode ? 'pairing' : 'qr_ready');
+        
+        try {
+            session.qrImage = await renderQRImage(qr);
+            emitServiceEvent('qr', {
+                sessionId: session.sessionId,
+                qrImage: session.qrImage,
+                attempt: session.qrAttempts,
+                maxAttempts: CONFIG.MAX_QR_ATTEMPTS,
+                expiresAt: session.qrExpiresAt
+            });
+        } catch (qrError) {
+            socketLog.error({ err: qrError, sessionId: session.sessionId }, 'QR code image generation failed');
+        }
+    }
+    
+    if (connection === 'open') {
+        session.user = sock.user || null;
+        session.connectedAt = new Date();
+        session.reconnectFailures = 0;
+        session.qr = null;
+        session.qrImage = null;
+        session.qrExpiresAt = null;
+        setSessionStatus(session, 'online');
+        
+        socketLog.info({ sessionId: session.sessionId, jid: sock.user?.id || null }, 'session linked');
+        
+        // The code only counts as linked when the account that logged in is
+        // the number it was requested for
+        const codeData = findCodeBySession(session.sessionId);
+        if (codeData && codeData.status === 'pending') {
+            const linkedNumber = getJidPhoneNumber(sock.user?.id);
             
-            @media (max-width: 768px) {
-                .container {
-                    padding: 20px;
-                }
-                
-                h1 {
-                    font-size: 2rem;
-                }
-                
-                .btn {
-                    min-width: 100%;
-                }
-                
-                .input-group {
-                    flex-direction: column;
-                }
-                
-                .country-select {
-                    width: 100%;
-                }
+            if (linkedNumber !== codeData.phoneNumber) {
+                socketLog.warn({ sessionId: session.sessionId, jid: sock.user?.id || null, phoneNumber: codeData.phoneNumber }, 'session linked to a different number, logging out');
+                transitionCode(codeData, 'failed', { reason: 'number_mismatch' });
+                await destroySession(session.sessionId, { logout: true, removeAuth: true });
+                return;
             }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <img src="${CONFIG.LOGO_URL}" alt="${CONFIG.COMPANY_NAME} Logo" class="logo">
-                <h1>${CONFIG.COMPANY_NAME}</h1>
-                <p class="subtitle">WhatsApp Pairing Code Generator v${CONFIG.VERSION}</p>
-            </div>
-            
-            <div class="status-container">
-                <div class="status-badge" id="statusBadge">${statusText}</div>
-                <div class="stats">
-                    <div class="stat-item">
-                        <div class="stat-number" id="pairingCount">${pairingCodesCount}</div>
-                        <div class="stat-label">Active Codes</div>
-                    </div>
-                    <div class="stat-item">
-                        <div class="stat-number" id="lastCode">${lastCode}</div>
-                        <div class="stat-label">Last Code</div>
-                    </div>
-                    <div class="stat-item">
-                        <div class="stat-number" id="qrAttempts">${autoActivationAttempts}</div>
-                        <div class="stat-label">QR Attempts</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="pairing-section">
-                <h2 class="pairing-title">Generate WhatsApp Pairing Code</h2>
-                <div class="phone-input-container">
-                    <div class="input-group">
-                        <select class="country-select" id="countryCode">
-                            <option value="254">🇰🇪 +254 (Kenya)</option>
-                            <option value="255">🇹🇿 +255 (Tanzania)</option>
-                            <option value="256">🇺🇬 +256 (Uganda)</option>
-                            <option value="1">🇺🇸 +1 (USA/Canada)</option>
-                            <option value="44">🇬🇧 +44 (UK)</option>
-                            <option value="91">🇮🇳 +91 (India)</option>
-                            <option value="234">🇳🇬 +234 (Nigeria)</option>
-                            <option value="27">🇿🇦 +27 (South Africa)</option>
-                            <option value="other">Other Country</option>
-                        </select>
-                        <input type="tel" id="phoneNumber" placeholder="723278526" value="723278526">
-                    </div>
-                    <div id="customCountryCode" style="display: none; margin-top: 10px;">
-                        <input type="text" id="customCode" placeholder="Enter country code (e.g., 33 for France)" style="width: 100%; padding: 10px; border-radius: 8px; border: 1px solid #ddd;">
-                    </div>
-                    <p class="example">Example: 723278526 (Kenya), 9876543210 (India), 1234567890 (USA)</p>
-                </div>
-                <div class="buttons">
-                    <button class="btn btn-primary" onclick="generatePairingCode()">
-                        <span>🔢</span> Generate Pairing Code
-                    </button>
-                    <button class="btn btn-secondary" onclick="showQRCode()">
-                        <span>📱</span> Show QR Code
-                    </button>
-                    <button class="btn btn-success" onclick="copyToClipboard()">
-                        <span>📋</span> Copy Code
-                    </button>
-                </div>
-            </div>
-            
-            <div class="qr-section" id="qrSection">
-                <h3 class="qr-title">Scan QR Code</h3>
-                <img id="qrImage" alt="WhatsApp QR Code">
-                <p>Open WhatsApp → Linked Devices → Scan QR Code</p>
-            </div>
-            
-            <div class="code-display-section" id="codeDisplaySection">
-                <h3 class="qr-title">Your Pairing Code</h3>
-                <div class="code-display" id="pairingCodeDisplay">0000-0000</div>
-                <p class="code-info" id="codeInfo">
-                    Code expires in <span id="expiryTimer">10:00</span>
-                </p>
-                <p>Use this code in WhatsApp: Settings → Linked Devices → Link a Device → "Use pairing code instead"</p>
-            </div>
-            
-            <div class="instructions">
-                <h3>How to Use Your Pairing Code</h3>
-                <ol>
-                    <li>Enter your phone number with country code</li>
-                    <li>Click "Generate Pairing Code" to get your 8-digit code</li>
-                    <li>Open WhatsApp on your phone</li>
-                    <li>Go to: <strong>Settings → Linked Devices → Link a Device</strong></li>
-                    <li>Tap <strong>"Use pairing code instead"</strong></li>
-                    <li>Enter the 8-digit code shown above</li>
-                    <li>Your WhatsApp will be linked to this service</li>
-                </ol>
-                <p><strong>Note:</strong> The pairing code is valid for ${CONFIG.CODE_EXPIRY_MINUTES} minutes only.</p>
-            </div>
-            
-            <div class="footer">
-                <p>⚡ Powered by <a href="${CONFIG.COMPANY_WEBSITE}" target="_blank">${CONFIG.COMPANY_NAME}</a></p>
-                <p>📞 Support: <a href="tel:${CONFIG.COMPANY_CONTACT}">${CONFIG.COMPANY_CONTACT}</a> | 📧 <a href="mailto:${CONFIG.COMPANY_EMAIL}">${CONFIG.COMPANY_EMAIL}</a></p>
-                <p>© ${new Date().getFullYear()} ${CONFIG.COMPANY_NAME}. All rights reserved.</p>
-            </div>
-        </div>
-        
-        <div class="notification" id="notification"></div>
-        
-        <script>
-            let currentCode = '';
-            let currentPhone = '';
-            let expiryInterval = null;
-            
-            document.getElementById('countryCode').addEventListener('change', function(e) {
-                const customCodeDiv = document.getElementById('customCountryCode');
-                if (e.target.value === 'other') {
-                    customCodeDiv.style.display = 'block';
-                } else {
-                    customCodeDiv.style.display = 'none';
-                }
+            transitionCode(codeData, 'linked', { reason: 'paired' });
+        }
+        
+        await writeAuthJson(session.authStore, 'connection_info', {
+            connectedAt: session.connectedAt.toISOString(),
+            phoneNumber: sock.user?.id || 'unknown',
+            sessionId: session.sessionId,
+            company: CONFIG.COMPANY_NAME,
+            version: CONFIG.VERSION
+        });
+        
+        if (!session.deliveredAt) {
+            await deliverSessionId(session, sock);
+        }
+    }
+    
+    if (connection === 'close') {
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        // Baileys only sets creds.registered in the pairing-code flow, so a
+        // QR login counts as linked once its connection has opened
+        const wasLinked = Boolean(session.connectedAt || sock.authState.creds.registered);
+        
+        session.sock = null;
+        setSessionStatus(session, 'disconnected');
+        
+        // WhatsApp drops the socket once the code is accepted and expects a fresh
+        // connection with the newly registered credentials to finish linking.
+        if (statusCode === DisconnectReason.restartRequired) {
+            socketLog.info({ sessionId: session.sessionId }, 'restarting session');
+            recordReconnect('session', statusCode);
+            await startSession(session.sessionId);
+            return;
+        }
+        
+        socketLog.warn({ sessionId: session.sessionId, statusCode }, 'session closed');
+        
+        const codeData = findCodeBySession(session.sessionId);
+        if (!wasLinked && codeData && codeData.status === 'pending') {
+            transitionCode(codeData, 'failed', { reason: getDisconnectReasonName(statusCode) });
+            await destroySession(session.sessionId, { removeAuth: true });
+            return;
+        }
+        
+        // Nothing reconnects a QR session that was never scanned
+        if (!wasLinked && session.type === 'qr') {
+            await expireQrSession(session, getDisconnectReasonName(statusCode));
+            return;
+        }
+        
+        if (statusCode === DisconnectReason.loggedOut) {
+            emitServiceEvent('bot.logged_out', { sessionId: session.sessionId, statusCode });
+            await createAuthBackup(resolveAuthTarget(session.sessionId), 'invalidated').catch((err) => {
+                socketLog.error({ err, sessionId: session.sessionId }, 'could not back up invalidated credentials');
             });
-            
-            document.getElementById('phoneNumber').addEventListener('input', function(e) {
-                let value = e.target.value.replace(/\D/g, '');
-                e.target.value = value;
+            await destroySession(session.sessionId, { removeAuth: true });
+            return;
+        }
+        
+        if (wasLinked) {
+            scheduleSessionReconnect(session, statusCode);
+        }
+    }
+}
+
+// Linked sessions reconnect with the same backoff as the service socket. After
+// RECONNECT_MAX_FAILURES in a row the session stays disconnected until its
+// credentials are restored or the server restarts.
+function scheduleSessionReconnect(session, statusCode) {
+    clearTimeout(session.reconnectTimer);
+    session.reconnectTimer = null;
+    session.nextReconnectAt = null;
+    session.reconnectFailures++;
+    
+    if (statusCode !== undefined) {
+        recordReconnect('session', statusCode);
+    }
+    
+    if (session.reconnectFailures >= CONFIG.RECONNECT_MAX_FAILURES) {
+        socketLog.error({ sessionId: session.sessionId, failures: session.reconnectFailures }, 'session reconnects stopped');
+        emitServiceEvent('bot.reconnect_stopped', { sessionId: session.sessionId, reason: 'too_many_failures' });
+        return;
+    }
+    
+    const delay = getReconnectDelay(session.reconnectFailures);
+    session.nextReconnectAt = new Date(Date.now() + delay);
+    session.reconnectTimer = setTimeout(() => {
+        session.reconnectTimer = null;
+        session.nextReconnectAt = null;
+        
+        if (sessions.has(session.sessionId) && !session.sock) {
+            startSession(session.sessionId).catch((error) => {
+                socketLog.error({ err: error, sessionId: session.sessionId }, 'session reconnect failed');
+                scheduleSessionReconnect(session);
             });
-            
-            async function generatePairingCode() {
-                const countrySelect = document.getElementById('countryCode');
-                const phoneInput = document.getElementById('phoneNumber');
-                const customCodeInput = document.getElementById('customCode');
-                
-                let countryCode = countrySelect.value;
-                if (countryCode === 'other') {
-                    countryCode = customCodeInput.value.replace(/\D/g, '');
-                    if (!countryCode) {
-                        showNotification('❌ Please enter a country code', 'error');
-                        customCodeInput.focus();
-                        return;
-                    }
-                }
-                
-                const phone = phoneInput.value.replace(/\D/g, '');
-                
-                if (!phone) {
-                    showNotification('❌ Please enter your phone number', 'error');
-                    phoneInput.focus();
-                    return;
-                }
-                
-                if (phone.length < 5) {
-                    showNotification('❌ Phone number too short', 'error');
-                    phoneInput.focus();
-                    return;
-                }
-                
-                const fullNumber = '+' + countryCode + phone;
-                
-                try {
-                    const response = await fetch('/generate-code', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ 
-                            phoneNumber: fullNumber,
-                            countryCode: countryCode
-                        })
-                    });
-                    
-                    const data = await response.json();
-                    
-                    if (data.success) {
-                        currentCode = data.displayCode;
-                        currentPhone = data.phoneNumber;
-                        
-                        document.getElementById('pairingCodeDisplay').textContent = currentCode;
-                        document.getElementById('codeDisplaySection').style.display = 'block';
-                        document.getElementById('qrSection').style.display = 'none';
-                        
-                        const countryFlag = data.country ? \` (\${data.country})\` : '';
-                        document.getElementById('codeInfo').innerHTML = \`
-                            Generated for: <strong>\${currentPhone}\${countryFlag}</strong><br>
-                            Expires in: <span id="expiryTimer">10:00</span>
-                        \`;
-                        
-                        if (data.expiresAt) {
-                            startExpiryTimer(data.expiresAt);
-                        }
-                        
-                        updateStats();
-                        
-                        showNotification(\`✅ Pairing code generated: \${currentCode}\`, 'success');
-                    } else {
-                        showNotification('❌ ' + (data.message || 'Failed to generate code'), 'error');
-                    }
-                } catch (error) {
-                    console.error('Error:', error);
-                    showNotification('❌ Network error. Please try again.', 'error');
-                }
-            }
-            
-            async function showQRCode() {
-                try {
-                    const response = await fetch('/getqr', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({})
-                    });
-                    
-                    const data = await response.json();
-                    
-                    if (data.success && data.qrImage) {
-                        document.getElementById('qrImage').src = data.qrImage;
-                        document.getElementById('qrSection').style.display = 'block';
-                        document.getElementById('codeDisplaySection').style.display = 'none';
-                        showNotification('✅ QR Code loaded successfully', 'success');
-                    } else {
-                        showNotification('⚠️ ' + (data.message || 'QR code not available yet'), 'warning');
-                    }
-                } catch (error) {
-                    console.error('Error:', error);
-                    showNotification('❌ Error loading QR code', 'error');
-                }
-            }
-            
-            function copyToClipboard() {
-                if (!currentCode) {
-                    showNotification('❌ No code to copy', 'warning');
-                    return;
-                }
-                
-                navigator.clipboard.writeText(currentCode).then(() => {
-                    showNotification(\`✅ Copied to clipboard: \${currentCode}\`, 'success');
-                }).catch(err => {
-                    showNotification('❌ Could not copy to clipboard', 'error');
-                });
-            }
-            
-            function startExpiryTimer(expiryTime) {
-                if (expiryInterval) clearInterval(expiryInterval);
-                
-                const expiryDate = new Date(expiryTime);
-                
-                function updateTimer() {
-                    const now = new Date();
-                    const diff = expiryDate - now;
-                    
-                    if (diff <= 0) {
-                        document.getElementById('expiryTimer').textContent = 'EXPIRED';
-                        clearInterval(expiryInterval);
-                        showNotification('⚠️ This pairing code has expired. Generate a new one.', 'warning');
-                        return;
-                    }
-                    
-                    const minutes = Math.floor(diff / 60000);
-                    const seconds = Math.floor((diff % 60000) / 1000);
-                    
-                    document.getElementById('expiryTimer').textContent = 
-                        \`\${minutes.toString().padStart(2, '0')}:\${seconds.toString().padStart(2, '0')}\`;
-                }
-                
-                updateTimer();
-                expiryInterval = setInterval(updateTimer, 1000);
-            }
-            
-            async function updateStats() {
-                try {
-                    const response = await fetch('/status');
-                    const data = await response.json();
-                    
-                    const statusBadge = document.getElementById('statusBadge');
-                    statusBadge.textContent = data.statusText || 'Unknown';
-                    statusBadge.style.backgroundColor = data.statusColor || '#6c757d';
-                    
-                    document.getElementById('pairingCount').textContent = data.pairingCodes || 0;
-                    if (data.lastCode) {
-                        document.getElementById('lastCode').textContent = data.lastCode;
-                    }
-                    document.getElementById('qrAttempts').textContent = data.qrAttempts || 0;
-                    
-                } catch (error) {
-                    console.log('Status update failed:', error);
-                }
-            }
-            
-            function showNotification(message, type) {
-                const notification = document.getElementById('notification');
-                notification.textContent = message;
-                
-                if (type === 'success') {
-                    notification.style.background = '#28a745';
-                } else if (type === 'error') {
-                    notification.style.background = '#dc3545';
-                } else if (type === 'warning') {
-                    notification.style.background = '#ffc107';
-                    notification.style.color = '#333';
-                } else {
-                    notification.style.background = '#17a2b8';
-                }
-                
-                notification.style.display = 'block';
-                
-                setTimeout(() => {
-                    notification.style.display = 'none';
-                }, 3000);
+        }
+    }, delay);
+    
+    socketLog.info({ sessionId: session.sessionId, delayMs: delay, failures: session.reconnectFailures }, 'session reconnect scheduled');
+}
+
+// A QR session that will never link: its QR codes all went unscanned, or
+// WhatsApp closed the connection before it was scanned. It stays listed as
+// 'expired' (without a socket or credentials) until pruneExpiredSessions drops it.
+async function expireQrSession(session, reason = 'qr_attempts_exhausted') {
+    const sock = session.sock;
+    
+    session.sock = null;
+    session.saveCreds = null;
+    session.qr = null;
+    session.qrImage = null;
+    session.qrExpiresAt = null;
+    session.expiredAt = new Date();
+    session.expiryReason = reason;
+    setSessionStatus(session, 'expired');
+    deleteSessionRecord(session.sessionId);
+    
+    if (sock) {
+        try {
+            sock.end(undefined);
+        } catch (err) {
+            // Socket may already be closed
+        }
+    }
+    await session.authStore.clear();
+    
+    socketLog.warn({ sessionId: session.sessionId, attempts: session.qrAttempts, reason }, 'QR session expired');
+}
+
+function pruneExpiredSessions() {
+    const retentionMs = CONFIG.CODE_RETENTION_MINUTES * 60 * 1000;
+    
+    for (const [sessionId, session] of sessions) {
+        if (session.status === 'expired' && Date.now() - session.expiredAt > retentionMs) {
+            sessions.delete(sessionId);
+        }
+    }
+}
+
+async function destroySession(sessionId, options = {}) {
+    const session = sessions.get(sessionId);
+    sessions.delete(sessionId);
+    
+    if (session) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+        session.nextReconnectAt = null;
+    }
+    
+    if (session && session.sock) {
+        const sock = session.sock;
+        session.sock = null;
+        
+        try {
+            if (options.logout) {
+                await sock.logout();
+            } else {
+                sock.end(undefined);
             }
-            
-            setInterval(updateStats, 5000);
-            updateStats();
-        </script>
-    </body>
-    </html>
-    `;
-    
-    res.send(html);
+        } catch (err) {
+            // Socket may already be closed
+        }
+    }
+    
+    if (options.removeAuth) {
+        deleteSessionRecord(sessionId);
+        await (session ? session.authStore : getSessionAuthStore(sessionId)).clear();
+    }
+}
+
+function buildWelcomeMessage() {
+    return [
+        `*${CONFIG.COMPANY_NAME}* ✅`,
+        '',
+        'Your WhatsApp account has been linked successfully.',
+        '',
+        `*Session ID:* (sent in the previous message)`,
+        'Paste it into your bot configuration as SESSION_ID.',
+        '⚠️ Do not share your session ID with anyone.',
+        '',
+        `📞 Support: ${CONFIG.COMPANY_CONTACT}`,
+        `🌐 ${CONFIG.COMPANY_WEBSITE}`,
+        '',
+        `_${CONFIG.COMPANY_NAME} Pairing Service v${CONFIG.VERSION}_`
+    ].join('\n');
+}
+
+async function deliverSessionId(session, sock) {
+    if (!sock.user?.id) {
+        return;
+    }
+    
+    const selfJid = jidNormalizedUser(sock.user.id);
+    
+    try {
+        // Sent on its own so it can be copied from the chat without editing
+        await sock.sendMessage(selfJid, { text: session.sessionId });
+        await sock.sendMessage(selfJid, { text: buildWelcomeMessage() });
+        
+        session.deliveredAt = new Date();
+        socketLog.info({ sessionId: session.sessionId, jid: selfJid }, 'session ID delivered');
+        
+        saveSessionRecord(session);
+        
+        const codeData = findCodeBySession(session.sessionId);
+        if (codeData) {
+            codeData.deliveredAt = session.deliveredAt;
+            saveCodeRecord(codeData);
+        }
+    } catch (error) {
+        socketLog.error({ err: error, sessionId: session.sessionId }, 'could not deliver session ID');
+    }
+}
+
+function getSessionInfo(session, language) {
+    return {
+        sessionId: session.sessionId,
+        type: session.type,
+        status: session.status,
+        statusText: getStatusText(session.status, language),
+        statusColor: getStatusColor(session.status),
+        phoneNumber: session.phoneNumber,
+        linkedNumber: session.user?.id || null,
+        qrReady: session.status === 'qr_ready' && Boolean(session.qrImage),
+        online: session.status === 'online',
+        deliveredAt: session.deliveredAt,
+        qrAttempts: session.qrAttempts,
+        maxQrAttempts: CONFIG.MAX_QR_ATTEMPTS,
+        qrExpiresAt: session.qrExpiresAt,
+        createdAt: session.createdAt,
+        connectedAt: session.connectedAt,
+        lastConnectionUpdate: session.lastConnectionUpdate,
+        reconnectFailures: session.reconnectFailures,
+        nextReconnectAt: session.nextReconnectAt
+    };
+}
+
+// Unauthenticated callers don't get the requested or the linked number
+function getPublicSessionInfo(session, language) {
+    const { phoneNumber, linkedNumber, ...publicInfo } = getSessionInfo(session, language);
+    return publicInfo;
+}
+
+function findCodeBySession(sessionId) {
+    for (const data of pairingCodes.values()) {
+        if (data.sessionId === sessionId) {
+            return data;
+        }
+    }
+    return null;
+}
+
+// ==================== SESSION EXPORT / IMPORT ====================
+const SESSION_STRING_SEPARATOR = '~';
+const SESSION_METADATA_KEYS = ['connection_info', 'session_info'];
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(sessionId);
+}
+
+async function exportSessionString(sessionId) {
+    const authStore = getSessionAuthStore(sessionId);
+    
+    if (!(await authStore.read('creds'))) {
+        throw new Error('Session has no credentials to export');
+    }
+    
+    const files = {};
+    for (const key of await authStore.list()) {
+        if (!SESSION_METADATA_KEYS.includes(key)) {
+            files[`${key}.json`] = await authStore.read(key);
+        }
+    }
+    
+    const bundle = {
+        v: 1,
+        sessionId: sessionId,
+        exportedAt: new Date().toISOString(),
+        files: files
+    };
+    
+    const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(bundle)));
+    return `${CONFIG.SESSION_PREFIX}${SESSION_STRING_SEPARATOR}${compressed.toString('base64url')}`;
+}
+
+function parseSessionString(sessionString) {
+    const prefix = `${CONFIG.SESSION_PREFIX}${SESSION_STRING_SEPARATOR}`;
+    
+    if (typeof sessionString !== 'string' || !sessionString.trim().startsWith(prefix)) {
+        throw new Error(`Session string must start with ${prefix}`);
+    }
+    
+    let bundle;
+    try {
+        const payload = Buffer.from(sessionString.trim().slice(prefix.length), 'base64url');
+        bundle = JSON.parse(zlib.gunzipSync(payload).toString('utf8'));
+    } catch (error) {
+        throw new Error('Session string is corrupted or truncated');
+    }
+    
+    if (!bundle || bundle.v !== 1 || !bundle.files || typeof bundle.files['creds.json'] !== 'string') {
+        throw new Error('Session string does not contain WhatsApp credentials');
+    }
+    
+    for (const [file, content] of Object.entries(bundle.files)) {
+        if (file !== path.basename(file) || !file.endsWith('.json') || typeof content !== 'string') {
+            throw new Error(`Session string contains an invalid file entry: ${file}`);
+        }
+        JSON.parse(content);
+    }
+    
+    return bundle;
+}
+
+async function importSessionString(sessionString) {
+    const bundle = parseSessionString(sessionString);
+    
+    let sessionId = bundle.sessionId;
+    if (!isValidSessionId(sessionId) || sessions.has(sessionId) || 
+        (await getSessionAuthStore(sessionId).list()).length > 0) {
+        sessionId = generateSessionId();
+    }
+    
+    const authStore = getSessionAuthStore(sessionId);
+    for (const [file, content] of Object.entries(bundle.files)) {
+        await authStore.write(file.slice(0, -5), content);
+    }
+    
+    socketLog.info({ sessionId, files: Object.keys(bundle.files).length }, 'session imported');
+    return sessionId;
+}
+
+// ==================== AUTH BACKUPS ====================
+// Credentials are only removed by an explicit logout or reset, and each
+// removal is preceded by a snapshot. Snapshots are gzipped JSON copies of
+// every store entry, kept under BACKUPS_DIR/<namespace>/ and pruned by count
+// and age. With AUTH_STORE=encrypted they are sealed with the same key.
+const BACKUP_EXTENSION = '.json.gz';
+const BACKUP_ID_PATTERN = /^(\d{8}T\d{9}Z)-([a-z_]+)$/;
+const ENCRYPTED_BACKUP_MAGIC = Buffer.from('ENC1');
+
+function getServiceAuthStore() {
+    return createAuthStore('auth_info', path.join(__dirname, 'auth_info'));
+}
+
+// 'service' is the pairing service's own login; anything else is a session ID
+function resolveAuthTarget(target) {
+    if (!target || target === 'service') {
+        return { target: 'service', namespace: 'auth_info', store: getServiceAuthStore() };
+    }
+    if (!isValidSessionId(target)) {
+        return null;
+    }
+    return { target: target, namespace: target, store: getSessionAuthStore(target) };
+}
+
+function getBackupDir(namespace) {
+    return path.join(CONFIG.BACKUPS_DIR, namespace);
+}
+
+function getBackupDate(backupId) {
+    const stamp = BACKUP_ID_PATTERN.exec(backupId)[1];
+    return new Date(`${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+        `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`);
+}
+
+function sealBackup(payload) {
+    if (CONFIG.AUTH_STORE !== 'encrypted') {
+        return payload;
+    }
+    
+    // Marker, then the encrypted auth store layout: salt | iv | auth tag | ciphertext
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(CONFIG.AUTH_ENCRYPTION_KEY, salt, 32), iv);
+    const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+    return Buffer.concat([ENCRYPTED_BACKUP_MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+}
+
+function openBackup(raw) {
+    if (!raw.subarray(0, ENCRYPTED_BACKUP_MAGIC.length).equals(ENCRYPTED_BACKUP_MAGIC)) {
+        return raw;
+    }
+    if (!CONFIG.AUTH_ENCRYPTION_KEY) {
+        throw new Error('Backup is encrypted and AUTH_ENCRYPTION_KEY is not set');
+    }
+    
+    raw = raw.subarray(ENCRYPTED_BACKUP_MAGIC.length);
+    try {
+        const key = crypto.scryptSync(CONFIG.AUTH_ENCRYPTION_KEY, raw.subarray(0, 16), 32);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(16, 28));
+        decipher.setAuthTag(raw.subarray(28, 44));
+        return Buffer.concat([decipher.update(raw.subarray(44)), decipher.final()]);
+    } catch (error) {
+        throw new Error('Cannot decrypt backup: wrong AUTH_ENCRYPTION_KEY or corrupted file');
+    }
+}
+
+async function listAuthBackups(namespace) {
+    const dir = getBackupDir(namespace);
+    
+    if (!(await fs.pathExists(dir))) {
+        return [];
+    }
+    
+    const backups = [];
+    for (const file of await fs.readdir(dir)) {
+        const backupId = file.slice(0, -BACKUP_EXTENSION.length);
+        
+        if (file.endsWith(BACKUP_EXTENSION) && BACKUP_ID_PATTERN.test(backupId)) {
+            const stats = await fs.stat(path.join(dir, file));
+            backups.push({
+                id: backupId,
+                reason: BACKUP_ID_PATTERN.exec(backupId)[2],
+                createdAt: getBackupDate(backupId),
+                size: stats.size
+            });
+        }
+    }
+    
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function pruneAuthBackups(namespace) {
+    const backups = await listAuthBackups(namespace);
+    const oldest = Date.now() - CONFIG.BACKUP_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    
+    // The newest snapshot is always kept, however old it is
+    const expired = backups.slice(1).filter((backup, index) => 
+        index + 1 >= CONFIG.BACKUP_RETENTION_COUNT || backup.createdAt.getTime() < oldest
+    );
+    
+    for (const backup of expired) {
+        await fs.remove(path.join(getBackupDir(namespace), backup.id + BACKUP_EXTENSION));
+    }
+    
+    return expired.length;
+}
+
+async function createAuthBackup(authTarget, reason) {
+    const entries = {};
+    for (const key of await authTarget.store.list()) {
+        entries[key] = await authTarget.store.read(key);
+    }
+    
+    if (!entries.creds) {
+        return null;
+    }
+    
+    const createdAt = new Date();
+    const backupId = `${createdAt.toISOString().replace(/[-:.]/g, '')}-${reason}`;
+    const payload = zlib.gzipSync(Buffer.from(JSON.stringify({
+        v: 1,
+        target: authTarget.target,
+        reason: reason,
+        createdAt: createdAt.toISOString(),
+        entries: entries
+    })));
+    
+    await fs.ensureDir(getBackupDir(authTarget.namespace));
+    await fs.writeFile(path.join(getBackupDir(authTarget.namespace), backupId + BACKUP_EXTENSION), sealBackup(payload));
+    await pruneAuthBackups(authTarget.namespace);
+    
+    socketLog.info({ target: authTarget.target, backupId, keys: Object.keys(entries).length }, 'auth backup created');
+    
+    return {
+        id: backupId,
+        reason: reason,
+        createdAt: createdAt,
+        keys: Object.keys(entries).length
+    };
+}
+
+async function readAuthBackup(authTarget, backupId) {
+    if (!BACKUP_ID_PATTERN.test(backupId || '')) {
+        throw new Error('Invalid backup ID');
+    }
+    
+    const file = path.join(getBackupDir(authTarget.namespace), backupId + BACKUP_EXTENSION);
+    if (!(await fs.pathExists(file))) {
+        return null;
+    }
+    
+    const snapshot = JSON.parse(zlib.gunzipSync(openBackup(await fs.readFile(file))).toString('utf8'));
+    if (!snapshot || snapshot.v !== 1 || !snapshot.entries || typeof snapshot.entries.creds !== 'string') {
+        throw new Error('Backup does not contain WhatsApp credentials');
+    }
+    
+    return snapshot;
+}
+
+// Stops the socket that uses this target's credentials. Returns a function
+// that starts it again once the store has been changed.
+async function stopAuthTarget(authTarget) {
+    if (authTarget.target === 'service') {
+        detachServiceSocket();
+        return () => restartWhatsApp();
+    }
+    
+    const session = sessions.get(authTarget.target);
+    if (!session) {
+        return () => startSession(authTarget.target);
+    }
+    
+    const options = {
+        phoneNumber: session.phoneNumber,
+        pairingCode: session.pairingCode,
+        createdAt: session.createdAt,
+        connectedAt: session.connectedAt,
+        deliveredAt: session.deliveredAt
+    };
+    await destroySession(authTarget.target);
+    return () => startSession(authTarget.target, options);
+}
+
+// Errors are tagged with invalidBackup when the backup itself is unusable, and
+// with credentialsReplaced once the store has been touched, so callers can
+// tell a rejected restore from one that stopped halfway.
+async function restoreAuthBackup(authTarget, backupId) {
+    let snapshot;
+    try {
+        snapshot = await readAuthBackup(authTarget, backupId);
+    } catch (error) {
+        error.invalidBackup = true;
+        throw error;
+    }
+    if (!snapshot) {
+        return null;
+    }
+    
+    const safetyBackup = await createAuthBackup(authTarget, 'pre_restore');
+    const restart = await stopAuthTarget(authTarget);
+    
+    try {
+        await authTarget.store.clear();
+        for (const [key, value] of Object.entries(snapshot.entries)) {
+            await authTarget.store.write(key, value);
+        }
+        
+        socketLog.warn({ target: authTarget.target, backupId }, 'auth state restored from backup');
+        await restart();
+    } catch (error) {
+        error.credentialsReplaced = true;
+        error.safetyBackup = safetyBackup;
+        throw error;
+    }
+    
+    return { restored: backupId, safetyBackup: safetyBackup };
+}
+
+// Backs up, then removes the credentials. The service socket reconnects for
+// a fresh QR; a session is closed for good.
+async function resetAuthTarget(authTarget, options = {}) {
+    const backup = await createAuthBackup(authTarget, options.logout ? 'logout' : 'reset');
+    
+    if (authTarget.target === 'service') {
+        const sock = activeSocket;
+        
+        if (options.logout && sock) {
+            // Detached first so the loggedOut close event doesn't schedule a reconnect
+            activeSocket = null;
+            try {
+                await sock.logout();
+            } catch (error) {
+                socketLog.warn({ err: error }, 'WhatsApp logout request failed');
+            }
+        }
+        
+        detachServiceSocket();
+        await authTarget.store.clear();
+        await restartWhatsApp();
+    } else {
+        await destroySession(authTarget.target, { logout: options.logout, removeAuth: true });
+    }
+    
+    socketLog.warn({ target: authTarget.target, logout: Boolean(options.logout) }, 'auth state reset');
+    return backup;
+}
+
+// ==================== WHATSAPP PAIRING ====================
+function waitForPairingSocket(sock) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            sock.ev.off('connection.update', onUpdate);
+            reject(new Error('Timed out waiting for WhatsApp to accept the connection'));
+        }, CONFIG.PAIRING_SOCKET_READY_TIMEOUT);
+        
+        // The first QR event means the websocket is up and WhatsApp will accept
+        // a phone-number pairing request instead of a scan.
+        function onUpdate(update) {
+            if (update.qr) {
+                clearTimeout(timer);
+                sock.ev.off('connection.update', onUpdate);
+                resolve();
+            } else if (update.connection === 'close') {
+                clearTimeout(timer);
+                sock.ev.off('connection.update', onUpdate);
+                reject(new Error('WhatsApp closed the connection before pairing'));
+            }
+        }
+        
+        sock.ev.on('connection.update', onUpdate);
+    });
+}
+
+async function requestWhatsAppPairingCode(phoneNumber, sessionId) {
+    const session = await startSession(sessionId, { phoneNumber });
+    const sock = session.sock;
+    
+    try {
+        if (sock.authState.creds.registered) {
+            throw new Error('Session is already registered');
+        }
+        
+        await waitForPairingSocket(sock);
+        const code = await sock.requestPairingCode(phoneNumber.replace(/\D/g, ''));
+        
+        session.pairingCode = code.replace(/-/g, '').toUpperCase();
+        setSessionStatus(session, 'pairing');
+        return session.pairingCode;
+    } catch (error) {
+        await destroySession(sessionId, { removeAuth: true });
+        throw error;
+    }
+}
+
+// ==================== PAIRING STATE MACHINE ====================
+// Every pairing code status change goes through transitionCode, which refuses
+// moves the table does not allow and appends { from, to, at, reason, by } to
+// the code's history. Each transition is published as a code.<status> event.
+const CODE_TRANSITIONS = {
+    pending: ['linked', 'expired', 'failed', 'revoked'],
+    linked: ['revoked'],
+    expired: [],
+    failed: [],
+    revoked: []
+};
+
+// Expired, failed and revoked codes are kept (with an <status>At timestamp)
+// until cleanupExpiredCodes drops them after CODE_RETENTION_MINUTES
+const TERMINAL_CODE_STATUSES = ['expired', 'failed', 'revoked'];
+
+function canTransitionCode(codeData, to) {
+    return (CODE_TRANSITIONS[codeData.status] || []).includes(to);
+}
+
+function transitionCode(codeData, to, details = {}) {
+    const from = codeData.status;
+    
+    if (!canTransitionCode(codeData, to)) {
+        throw new Error(`Illegal pairing code transition from ${from} to ${to}`);
+    }
+    
+    const entry = { from, to, at: new Date(), reason: details.reason || null, by: details.by || null };
+    
+    codeData.status = to;
+    codeData[`${to}At`] = entry.at;
+    if (to === 'failed') {
+        codeData.failureReason = entry.reason;
+    }
+    codeData.history = [...(codeData.history || []), entry];
+    
+    saveCodeRecord(codeData);
+    emitServiceEvent(`code.${to}`, getCodeEventPayload(codeData));
+    codeLog.info({ code: codeData.displayCode, sessionId: codeData.sessionId, from, to, reason: entry.reason, by: entry.by }, 'pairing code transition');
+}
+
+// '2547...:12@s.whatsapp.net' -> '+2547...', comparable with codeData.phoneNumber
+function getJidPhoneNumber(jid) {
+    return jid ? '+' + jidNormalizedUser(jid).split('@')[0] : null;
+}
+
+// ==================== PAIRING CODE MANAGEMENT ====================
+const codeExpiryTimers = new Set();
+
+function armCodeExpiry(codeData) {
+    const delay = Math.max(0, new Date(codeData.expiresAt).getTime() - Date.now());
+    
+    const timer = setTimeout(() => {
+        codeExpiryTimers.delete(timer);
+        if (pairingCodes.get(codeData.code) === codeData && codeData.status === 'pending') {
+            expireCode(codeData);
+        }
+    }, delay);
+    codeExpiryTimers.add(timer);
+}
+
+function expireCode(codeData) {
+    transitionCode(codeData, 'expired', { reason: 'timeout' });
+    
+    if (codeData.source !== 'demo') {
+        destroySession(codeData.sessionId, { removeAuth: true }).catch(() => {});
+    }
+}
+
+async function generateNewPairingCode(phoneNumber = null, country = null) {
+    const sessionId = generateSessionId();
+    let code;
+    let expiryMs;
+    
+    if (CONFIG.DEMO_MODE) {
+        code = generateAlphanumericCode();
+        expiryMs = CONFIG.CODE_EXPIRY_MINUTES * 60 * 1000;
+    } else {
+        if (!phoneNumber) {
+            throw new Error('A phone number is required to request a WhatsApp pairing code');
+        }
+        code = await requestWhatsAppPairingCode(phoneNumber, sessionId);
+        expiryMs = CONFIG.PAIRING_CODE_EXPIRY_SECONDS * 1000;
+    }
+    
+    const displayCode = formatDisplayCode(code);
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + expiryMs);
+    
+    const codeData = {
+        code: code,
+        displayCode: displayCode,
+        phoneNumber: phoneNumber,
+        country: country,
+        sessionId: sessionId,
+        status: 'pending',
+        source: CONFIG.DEMO_MODE ? 'demo' : 'whatsapp',
+        createdAt: createdAt,
+        expiresAt: expiresAt,
+        linkedAt: null,
+        deliveredAt: null,
+        qrData: currentQR,
+        qrImage: qrImageDataUrl,
+        attempts: 0,
+        generatedBy: CONFIG.COMPANY_NAME,
+        botStatus: botStatus,
+        isValid: true,
+        history: [{ from: null, to: 'pending', at: createdAt, reason: 'generated', by: null }]
+    };
+    
+    saveCodeRecord(codeData);
+    lastGeneratedCode = code;
+    lastGeneratedDisplayCode = displayCode;
+    
+    emitServiceEvent('code.generated', getCodeEventPayload(codeData));
+    
+    codeLog.info({
+        code: displayCode,
+        source: codeData.source,
+        sessionId: sessionId,
+        phoneNumber: phoneNumber
+    }, 'pairing code generated');
+    
+    armCodeExpiry(codeData);
+    
+    return {
+        code: code,
+        displayCode: displayCode,
+        sessionId: sessionId,
+        expiresAt: expiresAt,
+        country: country,
+        phoneNumber: phoneNumber,
+        source: codeData.source,
+        status: 'pending'
+    };
+}
+
+// ==================== WEBHOOKS ====================
+const WEBHOOK_EVENTS = ['code.generated', 'code.linked', 'code.expired', 'code.failed', 'code.revoked', 'bot.online', 'bot.logged_out', 'bot.reconnect_stopped'];
+// Pending retry timers, mapped to the delivery they will attempt
+const webhookRetryTimers = new Map();
+let webhookDeadLetters = [];
+
+function loadWebhookEndpoints() {
+    const endpoints = [];
+    
+    // WEBHOOK_URLS="https://a/hook,https://b/hook" signed with WEBHOOK_SECRET
+    if (process.env.WEBHOOK_URLS) {
+        process.env.WEBHOOK_URLS.split(',').map((url) => url.trim()).filter(Boolean).forEach((url) => {
+            endpoints.push({ url, secret: process.env.WEBHOOK_SECRET, events: WEBHOOK_EVENTS });
+        });
+    }
+    
+    // WEBHOOKS_FILE points at a JSON array of { url, secret, events }
+    if (CONFIG.WEBHOOKS_FILE && fs.pathExistsSync(CONFIG.WEBHOOKS_FILE)) {
+        try {
+            fs.readJsonSync(CONFIG.WEBHOOKS_FILE).forEach((entry) => {
+                endpoints.push({ url: entry.url, secret: entry.secret, events: entry.events || WEBHOOK_EVENTS });
+            });
+        } catch (error) {
+            webhookLog.error({ err: error, file: CONFIG.WEBHOOKS_FILE }, 'could not read webhooks file');
+        }
+    }
+    
+    return endpoints.filter((endpoint) => {
+        if (!endpoint.url || !endpoint.secret) {
+            webhookLog.warn({ url: endpoint.url || null }, 'ignoring webhook without url and secret');
+            return false;
+        }
+        return true;
+    });
+}
+
+const webhookEndpoints = loadWebhookEndpoints();
+
+function getDeadLetterPath() {
+    return path.join(CONFIG.DATA_DIR, 'webhook-dead-letters.jsonl');
+}
+
+function loadWebhookDeadLetters() {
+    try {
+        const content = fs.readFileSync(getDeadLetterPath(), 'utf8');
+        webhookDeadLetters = content.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            webhookLog.error({ err: error }, 'could not read webhook dead letters');
+        }
+    }
+}
+
+async function saveWebhookDeadLetters() {
+    await fs.ensureDir(CONFIG.DATA_DIR);
+    const lines = webhookDeadLetters.map((entry) => JSON.stringify(entry) + '\n').join('');
+    await fs.writeFile(getDeadLetterPath(), lines, 'utf8');
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function sendWebhookRequest(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        
+        const req = transport.request(target, {
+            method: 'POST',
+            timeout: CONFIG.WEBHOOK_TIMEOUT,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': `${CONFIG.SESSION_PREFIX}-Webhooks/${CONFIG.VERSION}`,
+                ...headers
+            }
+        }, (res) => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                resolve(res.statusCode);
+            } else {
+                reject(new Error(`Endpoint responded with HTTP ${res.statusCode}`));
+            }
+        });
+        
+        req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function attemptWebhookDelivery(delivery) {
+    const endpoint = webhookEndpoints.find((entry) => entry.url === delivery.url);
+    
+    if (!endpoint) {
+        delivery.lastError = 'Endpoint is no longer configured';
+        recordWebhookDeadLetter(delivery);
+        return;
+    }
+    
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    delivery.attempts++;
+    
+    sendWebhookRequest(delivery.url, delivery.body, {
+        'X-IanTech-Event': delivery.event,
+        'X-IanTech-Delivery': delivery.id,
+        'X-IanTech-Timestamp': timestamp,
+        'X-IanTech-Signature': `sha256=${signWebhookPayload(endpoint.secret, timestamp, delivery.body)}`
+    }).then(() => {
+        webhookLog.info({ deliveryId: delivery.id, event: delivery.event, url: delivery.url, attempt: delivery.attempts }, 'webhook delivered');
+    }).catch((error) => {
+        delivery.lastError = error.message;
+        
+        if (delivery.attempts >= CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+            recordWebhookDeadLetter(delivery);
+            return;
+        }
+        
+        const delay = Math.min(CONFIG.WEBHOOK_BACKOFF_MS * 2 ** (delivery.attempts - 1), CONFIG.WEBHOOK_MAX_BACKOFF_MS);
+        webhookLog.warn({
+            deliveryId: delivery.id,
+            event: delivery.event,
+            url: delivery.url,
+            attempt: delivery.attempts,
+            delayMs: delay,
+            err: error
+        }, 'webhook delivery failed, retrying');
+        
+        const timer = setTimeout(() => {
+            webhookRetryTimers.delete(timer);
+            attemptWebhookDelivery(delivery);
+        }, delay);
+        webhookRetryTimers.set(timer, delivery);
+    });
+}
+
+function recordWebhookDeadLetter(delivery) {
+    delivery.failedAt = new Date().toISOString();
+    webhookDeadLetters.push(delivery);
+    webhookLog.error({ deliveryId: delivery.id, event: delivery.event, url: delivery.url, lastError: delivery.lastError }, 'webhook dead-lettered');
+    
+    return fs.ensureDir(CONFIG.DATA_DIR)
+        .then(() => fs.appendFile(getDeadLetterPath(), JSON.stringify(delivery) + '\n', 'utf8'))
+        .catch((error) => webhookLog.error({ err: error }, 'could not write webhook dead letter'));
+}
+
+function queueWebhookEvent(event) {
+    const body = JSON.stringify({
+        id: crypto.randomUUID(),
+        event: event.type,
+        createdAt: event.at,
+        company: CONFIG.COMPANY_NAME,
+        data: event.payload
+    });
+    
+    for (const endpoint of webhookEndpoints) {
+        if (endpoint.events.includes(event.type) || endpoint.events.includes('*')) {
+            attemptWebhookDelivery({
+                id: crypto.randomUUID(),
+                url: endpoint.url,
+                event: event.type,
+                body: body,
+                attempts: 0,
+                createdAt: new Date().toISOString(),
+                lastError: null
+            });
+        }
+    }
+}
+
+loadWebhookDeadLetters();
+
+serviceEvents.on('event', (event) => {
+    if (webhookEndpoints.length > 0 && WEBHOOK_EVENTS.includes(event.type)) {
+        queueWebhookEvent(event);
+    }
+});
+
+// ==================== WHATSAPP REGISTRATION CHECK ====================
+const registrationCache = new Map();
+
+// Returns true/false once the service socket is online, or null when the
+// lookup cannot be made (socket offline or query failed).
+async function checkWhatsAppRegistration(e164Number) {
+    if (!activeSocket || botStatus !== 'online') {
+        return null;
+    }
+    
+    const cached = registrationCache.get(e164Number);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.exists;
+    }
+    
+    try {
+        const [result] = await activeSocket.onWhatsApp(`${e164Number.replace(/\D/g, '')}@s.whatsapp.net`);
+        const exists = Boolean(result && result.exists);
+        const ttlMinutes = exists ? CONFIG.REGISTRATION_CACHE_MINUTES : CONFIG.REGISTRATION_NEGATIVE_CACHE_MINUTES;
+        
+        registrationCache.set(e164Number, {
+            exists: exists,
+            expiresAt: Date.now() + ttlMinutes * 60 * 1000
+        });
+        
+        return exists;
+    } catch (error) {
+        socketLog.warn({ err: error, phoneNumber: e164Number }, 'WhatsApp registration lookup failed');
+        return null;
+    }
+}
+
+function pruneRegistrationCache() {
+    const now = Date.now();
+    
+    for (const [number, entry] of registrationCache.entries()) {
+        if (entry.expiresAt <= now) {
+            registrationCache.delete(number);
+        }
+    }
+}
+
+// ==================== ABUSE PROTECTION ====================
+// Sliding-window counters for /generate-code, keyed by client IP and by
+// normalized phone number, plus admin-managed block/allow lists.
+const generationAttempts = new Map();
+let accessLists = {
+    blocklist: { numbers: [], countryCodes: [] },
+    allowlist: { numbers: [], countryCodes: [] }
+};
+
+function getAccessListPath() {
+    return path.join(CONFIG.DATA_DIR, 'access-lists.json');
+}
+
+function loadAccessLists() {
+    try {
+        const stored = fs.readJsonSync(getAccessListPath());
+        for (const list of Object.keys(accessLists)) {
+            accessLists[list] = {
+                numbers: (stored[list] && stored[list].numbers) || [],
+                countryCodes: (stored[list] && stored[list].countryCodes) || []
+            };
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error({ err: error }, 'could not read access lists');
+        }
+    }
+}
+
+async function saveAccessLists() {
+    await fs.ensureDir(CONFIG.DATA_DIR);
+    await fs.writeJson(getAccessListPath(), accessLists, { spaces: 2 });
+}
+
+// Applies the new entries and saves them; the list is left unchanged if saving fails
+async function updateAccessList(list, changes) {
+    const previous = { numbers: list.numbers, countryCodes: list.countryCodes };
+    Object.assign(list, changes);
+    
+    try {
+        await saveAccessLists();
+    } catch (error) {
+        Object.assign(list, previous);
+        throw error;
+    }
+}
+
+function normalizeAccessListEntries(entries) {
+    const numbers = [];
+    const countryCodes = [];
+    const invalid = [];
+    
+    for (const value of [].concat(entries.numbers || [])) {
+        const validation = validateAndFormatPhoneNumber(value);
+        if (validation.isValid) {
+            numbers.push(validation.formatted);
+        } else {
+            invalid.push(value);
+        }
+    }
+    
+    for (const value of [].concat(entries.countryCodes || [])) {
+        const digits = String(value).replace(/\D/g, '');
+        if (digits && digits.length <= 3) {
+            countryCodes.push(digits);
+        } else {
+            invalid.push(value);
+        }
+    }
+    
+    return { numbers, countryCodes, invalid };
+}
+
+function isListed(list, validation) {
+    return list.numbers.includes(validation.formatted) || list.countryCodes.includes(String(validation.countryCode));
+}
+
+// The blocklist always wins; a non-empty allowlist restricts generation to its entries.
+// Returns the errors.* message key for a refused number, or null.
+function checkAccessLists(validation) {
+    if (isListed(accessLists.blocklist, validation)) {
+        return 'blocked';
+    }
+    
+    const { allowlist } = accessLists;
+    if ((allowlist.numbers.length > 0 || allowlist.countryCodes.length > 0) && !isListed(allowlist, validation)) {
+        return 'not_allowlisted';
+    }
+    
+    return null;
+}
+
+function getRecentAttempts(key, windowMs, now) {
+    const attempts = (generationAttempts.get(key) || []).filter((time) => now - time < windowMs);
+    generationAttempts.set(key, attempts);
+    return attempts;
+}
+
+// QR sessions have no phone number and only count against the IP
+function checkGenerationLimits(ip, phoneNumber = null) {
+    const now = Date.now();
+    const windowMs = CONFIG.GENERATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+    const ipAttempts = getRecentAttempts(`ip:${ip}`, windowMs, now);
+    const phoneAttempts = phoneNumber ? getRecentAttempts(`phone:${phoneNumber}`, windowMs, now) : [];
+    
+    const lastPhoneAttempt = phoneAttempts[phoneAttempts.length - 1];
+    const cooldownMs = CONFIG.GENERATE_COOLDOWN_SECONDS * 1000;
+    if (lastPhoneAttempt && now - lastPhoneAttempt < cooldownMs) {
+        return {
+            reason: 'phone_cooldown',
+            retryAfter: Math.ceil((lastPhoneAttempt + cooldownMs - now) / 1000)
+        };
+    }
+    
+    if (phoneAttempts.length >= CONFIG.GENERATE_LIMIT_PER_NUMBER) {
+        return {
+            reason: 'phone_limit',
+            retryAfter: Math.ceil((phoneAttempts[0] + windowMs - now) / 1000),
+            params: { limit: CONFIG.GENERATE_LIMIT_PER_NUMBER, minutes: CONFIG.GENERATE_LIMIT_WINDOW_MINUTES }
+        };
+    }
+    
+    if (ipAttempts.length >= CONFIG.GENERATE_LIMIT_PER_IP) {
+        return {
+            reason: 'ip_limit',
+            retryAfter: Math.ceil((ipAttempts[0] + windowMs - now) / 1000),
+            params: { limit: CONFIG.GENERATE_LIMIT_PER_IP, minutes: CONFIG.GENERATE_LIMIT_WINDOW_MINUTES }
+        };
+    }
+    
+    ipAttempts.push(now);
+    phoneAttempts.push(now);
+    return null;
+}
+
+function pruneGenerationAttempts() {
+    const now = Date.now();
+    const windowMs = CONFIG.GENERATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+    
+    for (const key of generationAttempts.keys()) {
+        if (getRecentAttempts(key, windowMs, now).length === 0) {
+            generationAttempts.delete(key);
+        }
+    }
+}
+
+loadAccessLists();
+
+// ==================== VERIFICATION LOCKOUT ====================
+// Failed /verify-code lookups are counted per client IP (progressive
+// throttling) and per pairing code (hard lock after too many failures).
+const verifyFailures = new Map();
+
+function getVerifyThrottle(ip) {
+    const entry = verifyFailures.get(ip);
+    
+    if (!entry) {
+        return null;
+    }
+    
+    if (Date.now() - entry.lastFailure > CONFIG.VERIFY_FAILURE_WINDOW_MINUTES * 60 * 1000) {
+        verifyFailures.delete(ip);
+        return null;
+    }
+    
+    if (entry.blockedUntil > Date.now()) {
+        return Math.ceil((entry.blockedUntil - Date.now()) / 1000);
+    }
+    
+    return null;
+}
+
+function recordVerifyFailure(ip, codeData) {
+    const now = Date.now();
+    const entry = verifyFailures.get(ip) || { count: 0, lastFailure: now, blockedUntil: 0 };
+    
+    entry.count++;
+    entry.lastFailure = now;
+    
+    // Free attempts first, then a delay that doubles with every further failure
+    const excess = entry.count - CONFIG.VERIFY_FREE_ATTEMPTS;
+    if (excess > 0) {
+        const delayMs = Math.min(1000 * 2 ** (excess - 1), CONFIG.VERIFY_MAX_DELAY_SECONDS * 1000);
+        entry.blockedUntil = now + delayMs;
+    }
+    
+    verifyFailures.set(ip, entry);
+    
+    if (codeData && !codeData.locked) {
+        codeData.attempts = (codeData.attempts || 0) + 1;
+        
+        if (codeData.attempts >= CONFIG.VERIFY_MAX_ATTEMPTS_PER_CODE) {
+            codeData.locked = true;
+            codeData.lockedAt = new Date();
+            codeLog.warn({ code: codeData.displayCode, attempts: codeData.attempts }, 'pairing code locked after failed verifications');
+        }
+        
+        saveCodeRecord(codeData);
+    }
+}
+
+function pruneVerifyFailures() {
+    const windowMs = CONFIG.VERIFY_FAILURE_WINDOW_MINUTES * 60 * 1000;
+    
+    for (const [ip, entry] of verifyFailures.entries()) {
+        if (Date.now() - entry.lastFailure > windowMs) {
+            verifyFailures.delete(ip);
+        }
+    }
+}
+
+// What unauthenticated callers may see about a pairing code
+function getPublicCodeData(codeData) {
+    return {
+        displayCode: codeData.displayCode,
+        status: codeData.status,
+        createdAt: codeData.createdAt,
+        expiresAt: codeData.expiresAt,
+        linkedAt: codeData.linkedAt,
+        deliveredAt: codeData.deliveredAt
+    };
+}
+
+// ==================== ADMIN AUTHENTICATION ====================
+const ADMIN_ROLES = ['viewer', 'operator'];
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+function loadAdminKeys() {
+    const entries = [];
+    
+    // ADMIN_API_KEYS="key1:operator,key2:viewer" (role defaults to viewer)
+    if (process.env.ADMIN_API_KEYS) {
+        process.env.ADMIN_API_KEYS.split(',').map((item) => item.trim()).filter(Boolean).forEach((item, index) => {
+            const [key, role = 'viewer'] = item.split(':');
+            entries.push({ key, role, name: `env-${index + 1}` });
+        });
+    }
+    
+    // ADMIN_KEYS_FILE points at a JSON array of { key, role, name }
+    if (CONFIG.ADMIN_KEYS_FILE && fs.pathExistsSync(CONFIG.ADMIN_KEYS_FILE)) {
+        try {
+            const fileKeys = fs.readJsonSync(CONFIG.ADMIN_KEYS_FILE);
+            fileKeys.forEach((entry, index) => {
+                entries.push({ key: entry.key, role: entry.role || 'viewer', name: entry.name || `file-${index + 1}` });
+            });
+        } catch (error) {
+            logger.error({ err: error, file: CONFIG.ADMIN_KEYS_FILE }, 'could not read admin keys file');
+        }
+    }
+    
+    return entries
+        .filter((entry) => {
+            if (!entry.key || !ADMIN_ROLES.includes(entry.role)) {
+                logger.warn({ name: entry.name, role: entry.role }, 'ignoring admin key with missing key or unknown role');
+                return false;
+            }
+            return true;
+        })
+        .map((entry) => ({ name: entry.name, role: entry.role, hash: hashApiKey(entry.key) }));
+}
+
+const adminKeys = loadAdminKeys();
+
+function findAdminKey(token) {
+    const hash = hashApiKey(token);
+    return adminKeys.find((entry) => crypto.timingSafeEqual(entry.hash, hash)) || null;
+}
+
+function getRequestAdmin(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? findAdminKey(token) : null;
+}
+
+function requireAdmin(role = 'viewer') {
+    return (req, res, next) => {
+        if (adminKeys.length === 0) {
+            return res.status(503).json({ 
+                success: false, 
+                reason: 'admin_disabled',
+                message: req.t('errors.admin_disabled') 
+            });
+        }
+        
+        const adminKey = getRequestAdmin(req);
+        
+        if (!adminKey) {
+            res.set('WWW-Authenticate', 'Bearer realm="admin"');
+            return res.status(401).json({ 
+                success: false, 
+                reason: 'admin_unauthorized',
+                message: req.t('errors.admin_unauthorized') 
+            });
+        }
+        
+        if (ADMIN_ROLES.indexOf(adminKey.role) < ADMIN_ROLES.indexOf(role)) {
+            return res.status(403).json({ 
+                success: false, 
+                reason: 'admin_forbidden',
+                message: req.t('errors.admin_forbidden', { role }) 
+            });
+        }
+        
+        req.admin = adminKey;
+        next();
+    };
+}
+
+// ==================== HEALTH CHECKS ====================
+// Readiness is the conjunction of these checks; each returns { ok, detail }
+// so /readyz can show which dependency is failing.
+function getAuthStorageDir() {
+    switch (CONFIG.AUTH_STORE) {
+        case 'sqlite': return path.dirname(CONFIG.SQLITE_PATH);
+        case 'encrypted': return path.join(CONFIG.DATA_DIR, 'auth');
+        default: return path.join(__dirname, 'auth_info');
+    }
+}
+
+function checkSocketOpen() {
+    if (!activeSocket) {
+        return { ok: false, detail: 'No WhatsApp socket has been created' };
+    }
+    if (botStatus !== 'online') {
+        return { ok: false, detail: `WhatsApp socket is ${botStatus}` };
+    }
+    return { ok: true, detail: 'WhatsApp socket is open' };
+}
+
+async function checkAuthWritable() {
+    const dir = getAuthStorageDir();
+    
+    try {
+        await fs.ensureDir(dir);
+        await fs.access(dir, fs.constants.W_OK);
+        return { ok: true, detail: `${CONFIG.AUTH_STORE} auth storage is writable` };
+    } catch (error) {
+        return { ok: false, detail: `${CONFIG.AUTH_STORE} auth storage is not writable (${error.code || 'error'})` };
+    }
+}
+
+function checkConnectionUpdates() {
+    // An open socket only reports connection.update on state changes, so the
+    // window applies while it is connecting or waiting to reconnect.
+    if (botStatus === 'online') {
+        return { ok: true, detail: 'Socket is open' };
+    }
+    if (!lastConnectionUpdate) {
+        return { ok: false, detail: 'No connection.update received yet' };
+    }
+    
+    const ageSeconds = Math.round((Date.now() - lastConnectionUpdate.getTime()) / 1000);
+    if (ageSeconds > CONFIG.READINESS_UPDATE_WINDOW_SECONDS) {
+        return { ok: false, detail: `Last connection.update was ${ageSeconds}s ago (window ${CONFIG.READINESS_UPDATE_WINDOW_SECONDS}s)` };
+    }
+    return { ok: true, detail: `Last connection.update was ${ageSeconds}s ago` };
+}
+
+function checkQrAttempts() {
+    if (botStatus !== 'online' && autoActivationAttempts >= CONFIG.MAX_QR_ATTEMPTS) {
+        return { ok: false, detail: `QR attempts exhausted (${autoActivationAttempts}/${CONFIG.MAX_QR_ATTEMPTS})` };
+    }
+    return { ok: true, detail: `${autoActivationAttempts}/${CONFIG.MAX_QR_ATTEMPTS} QR attempts used` };
+}
+
+async function getReadiness() {
+    const checks = {
+        socket: checkSocketOpen(),
+        authStorage: await checkAuthWritable(),
+        connectionUpdates: checkConnectionUpdates(),
+        qrAttempts: checkQrAttempts()
+    };
+    
+    return {
+        ready: Object.values(checks).every((check) => check.ok),
+        checks: checks
+    };
+}
+
+// ==================== DASHBOARD THEME ====================
+// The dashboard is an HTML template filled with theme tokens. themes/default.json
+// is the stock look; THEME_FILE points at a deployment's own theme, which only
+// needs the tokens it changes. Every token is HTML-escaped when rendered.
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Replaces {{ name }} and {{ dotted.name }} with the escaped value (or nothing)
+function renderTemplate(template, values) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+        const value = name.split('.').reduce((scope, key) => (scope == null ? undefined : scope[key]), values);
+        return value === undefined || value === null ? '' : escapeHtml(value);
+    });
+}
+
+function mergeTheme(base, overrides) {
+    const merged = { ...base };
+    
+    for (const [key, value] of Object.entries(overrides)) {
+        const nested = value && typeof value === 'object' && !Array.isArray(value) && 
+            base[key] && typeof base[key] === 'object';
+        merged[key] = nested ? mergeTheme(base[key], value) : value;
+    }
+    
+    return merged;
+}
+
+// Template paths in a theme file are relative to that file
+function readThemeFile(filePath) {
+    const theme = fs.readJsonSync(filePath);
+    if (theme.template) {
+        theme.template = path.resolve(path.dirname(filePath), theme.template);
+    }
+    return theme;
+}
+
+function loadDashboardTheme() {
+    let theme = readThemeFile(path.join(__dirname, 'themes', 'default.json'));
+    
+    if (CONFIG.THEME_FILE) {
+        try {
+            theme = mergeTheme(theme, readThemeFile(CONFIG.THEME_FILE));
+        } catch (error) {
+            logger.error({ err: error, file: CONFIG.THEME_FILE }, 'could not read theme file, using the default theme');
+        }
+    }
+    
+    theme.templateSource = fs.readFileSync(theme.template, 'utf8');
+    return theme;
+}
+
+const dashboardTheme = loadDashboardTheme();
+
+// Dashboard strings come from the catalog. A theme's `texts` overrides them for
+// every language ({ "tagline": "..." }) or per language ({ "sw": { "tagline": "..." } }).
+function getDashboardTexts(language) {
+    const params = {
+        length: CONFIG.CODE_LENGTH,
+        validity: CONFIG.DEMO_MODE 
+            ? translate(language, 'dashboard.minutes', { count: CONFIG.CODE_EXPIRY_MINUTES }) 
+            : translate(language, 'dashboard.seconds', { count: CONFIG.PAIRING_CODE_EXPIRY_SECONDS })
+    };
+    const shared = Object.fromEntries(
+        Object.entries(dashboardTheme.texts).filter(([key, value]) => typeof value === 'string')
+    );
+    const texts = { 
+        ...catalogs[FALLBACK_LANGUAGE].dashboard, 
+        ...catalogs[language].dashboard, 
+        ...shared, 
+        ...dashboardTheme.texts[language] 
+    };
+    
+    for (const key of Object.keys(texts)) {
+        texts[key] = formatMessage(texts[key], params);
+    }
+    return texts;
+}
+
+function getDashboardValues(language) {
+    const texts = getDashboardTexts(language);
+    
+    return {
+        language: language,
+        stylesheet: dashboardTheme.stylesheet,
+        script: dashboardTheme.script,
+        logoUrl: dashboardTheme.logoUrl || CONFIG.LOGO_URL,
+        colors: dashboardTheme.colors,
+        texts: texts,
+        // Notification strings for the client script, read from a data attribute
+        clientMessages: JSON.stringify({ ...catalogs[FALLBACK_LANGUAGE].client, ...catalogs[language].client }),
+        company: {
+            name: CONFIG.COMPANY_NAME,
+            contact: CONFIG.COMPANY_CONTACT,
+            email: CONFIG.COMPANY_EMAIL,
+            website: CONFIG.COMPANY_WEBSITE,
+            ...dashboardTheme.company
+        },
+        version: CONFIG.VERSION,
+        year: new Date().getFullYear(),
+        phoneExample: CONFIG.DEFAULT_PHONE_EXAMPLE,
+        status: {
+            text: getStatusText(botStatus, language),
+            color: getStatusColor(botStatus),
+            pairingCodes: pairingCodes.size,
+            lastCode: lastGeneratedDisplayCode || texts.none,
+            qrAttempts: autoActivationAttempts
+        }
+    };
+}
+
+// ==================== ROUTES ====================
+app.get('/', (req, res) => {
+    const language = resolveLocale(req, matchLanguage(dashboardTheme.language) || CONFIG.DEFAULT_LANGUAGE);
+    
+    res.set('Content-Language', language);
+    res.send(renderTemplate(dashboardTheme.templateSource, getDashboardValues(language)));
+});
+
+// Generate pairing code endpoint
+app.post('/generate-code', async (req, res) => {
+    try {
+        const { phoneNumber, countryCode } = req.body;
+        
+        if (!phoneNumber) {
+            return res.status(400).json({ 
+                success: false, 
+                reason: 'missing_number',
+                message: req.t('errors.missing_number') 
+            });
+        }
+        
+        const validation = validateAndFormatPhoneNumber(phoneNumber, { countryCode });
+        
+        if (!validation.isValid) {
+            return res.status(400).json({ 
+                success: false, 
+                reason: validation.errorCode,
+                message: req.t(`errors.${validation.errorCode}`, validation.errorParams) 
+            });
+        }
+        
+        const accessError = checkAccessLists(validation);
+        if (accessError) {
+            return res.status(403).json({ 
+                success: false, 
+                reason: accessError,
+                message: req.t(`errors.${accessError}`) 
+            });
+        }
+        
+        const limit = checkGenerationLimits(req.ip, validation.formatted);
+        if (limit) {
+            req.log.warn({ reason: limit.reason, phoneNumber: validation.formatted }, 'code generation rejected');
+            recordRateLimitRejection(limit.reason);
+            res.set('Retry-After', String(limit.retryAfter));
+            return res.status(429).json({ 
+                success: false, 
+                reason: limit.reason,
+                retryAfter: limit.retryAfter,
+                message: req.t(`errors.${limit.reason}`, limit.params) 
+            });
+        }
+        
+        const registered = await checkWhatsAppRegistration(validation.formatted);
+        if (registered === false) {
+            return res.status(400).json({ 
+                success: false, 
+                reason: 'not_on_whatsapp',
+                phoneNumber: validation.formatted,
+                message: req.t('errors.not_on_whatsapp', { number: validation.international }) 
+            });
+        }
+        
+        let codeData;
+        try {
+            codeData = await generateNewPairingCode(
+                validation.formatted,
+                validation.country
+            );
+        } catch (error) {
+            req.log.error({ err: error, phoneNumber: validation.formatted }, 'WhatsApp pairing request failed');
+            return res.status(502).json({ 
+                success: false, 
+                reason: 'pairing_failed',
+                message: req.t('errors.pairing_failed') 
+            });
+        }
+        
+        res.json({ 
+            success: true,
+            code: codeData.code,
+            displayCode: codeData.displayCode,
+            phoneNumber: validation.formatted,
+            international: validation.international,
+            country: validation.country,
+            countryCode: validation.countryCode,
+            sessionId: codeData.sessionId,
+            expiresAt: codeData.expiresAt,
+            status: codeData.status,
+            source: codeData.source,
+            whatsappRegistered: registered,
+            message: req.t('messages.code_generated', { company: CONFIG.COMPANY_NAME }),
+        });
+        
+    } catch (error) {
+        req.log.error({ err: error }, 'error generating pairing code');
+        res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
+});
+
+// Get QR code endpoint
+app.post('/getqr', async (req, res) => {
+    try {
+        const sessionId = req.body.sessionId || req.query.sessionId;
+        
+        if (sessionId) {
+            const session = sessions.get(sessionId);
+            
+            if (!session) {
+                return res.status(404).json({ 
+                    success: false, 
+                    reason: 'session_not_found',
+                    message: req.t('errors.session_not_found') 
+                });
+            }
+            
+            if (session.qrImage && session.status !== 'online') {
+                return res.json({
+                    success: true,
+                    sessionId: sessionId,
+                    qrImage: session.qrImage,
+                    message: req.t('messages.scan_qr'),
+                    status: session.status
+                });
+            }
+            
+            return res.status(200).json({ 
+                success: false, 
+                sessionId: sessionId,
+                reason: session.status === 'online' ? 'session_linked' : 'qr_unavailable',
+                message: req.t(session.status === 'online' ? 'errors.session_linked' : 'errors.qr_unavailable'),
+                status: session.status,
+                qrAttempts: session.qrAttempts,
+                maxAttempts: CONFIG.MAX_QR_ATTEMPTS
+            });
+        }
+        
+        if (botStatus === 'qr_ready' && qrImageDataUrl) {
+            res.json({
+                success: true,
+                qrImage: qrImageDataUrl,
+                message: req.t('messages.scan_qr'),
+                status: botStatus
+            });
+        } else {
+            res.status(200).json({ 
+                success: false, 
+                reason: 'qr_unavailable',
+                message: req.t('errors.qr_unavailable'),
+                status: botStatus,
+                qrAttempts: autoActivationAttempts,
+                maxAttempts: CONFIG.MAX_QR_ATTEMPTS
+            });
+        }
+    } catch (error) {
+        req.log.error({ err: error }, 'error getting QR code');
+        res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
+});
+
+// Status endpoint
+app.get('/status', (req, res) => {
+    const { sessionId } = req.query;
+    
+    if (sessionId) {
+        const session = sessions.get(sessionId);
+        
+        if (!session) {
+            return res.status(404).json({ 
+                success: false, 
+                reason: 'session_not_found',
+                message: req.t('errors.session_not_found') 
+            });
+        }
+        
+        return res.json({
+            success: true,
+            ...(getRequestAdmin(req) ? getSessionInfo(session, req.locale) : getPublicSessionInfo(session, req.locale)),
+            company: CONFIG.COMPANY_NAME,
+            version: CONFIG.VERSION
+        });
+    }
+    
+    res.json(getServiceStatus(req.locale));
+});
+
+// Pairing lifecycle of one session. With ?wait=N a pending session holds the
+// request (up to STATUS_MAX_WAIT_SECONDS) until it links, expires, fails or is revoked.
+const statusWaiters = new Set();
+
+function getPairingState(codeData) {
+    return {
+        sessionId: codeData.sessionId,
+        type: 'pairing',
+        state: codeData.status,
+        displayCode: codeData.displayCode,
+        createdAt: codeData.createdAt,
+        expiresAt: codeData.expiresAt,
+        linkedAt: codeData.linkedAt || null,
+        deliveredAt: codeData.deliveredAt || null,
+        expiredAt: codeData.expiredAt || null,
+        failedAt: codeData.failedAt || null,
+        revokedAt: codeData.revokedAt || null,
+        failureReason: codeData.failureReason || null
+    };
+}
+
+function getQrSessionState(session) {
+    let state = 'pending';
+    if (session.status === 'expired') {
+        state = 'expired';
+    } else if (session.connectedAt) {
+        state = 'linked';
+    }
+    
+    return {
+        sessionId: session.sessionId,
+        type: 'qr',
+        state: state,
+        createdAt: session.createdAt,
+        linkedAt: session.connectedAt || null,
+        deliveredAt: session.deliveredAt || null,
+        expiredAt: session.expiredAt || null,
+        expiryReason: session.expiryReason || null,
+        qrAttempts: session.qrAttempts,
+        maxQrAttempts: CONFIG.MAX_QR_ATTEMPTS,
+        qrExpiresAt: session.qrExpiresAt
+    };
+}
+
+// Pairing-code sessions report their code's state, QR sessions their own
+function getSessionStateReader(sessionId) {
+    const codeData = findCodeBySession(sessionId);
+    if (codeData) {
+        return () => getPairingState(codeData);
+    }
+    
+    const session = sessions.get(sessionId);
+    if (session && session.type === 'qr') {
+        return () => getQrSessionState(session);
+    }
+    return null;
+}
+
+app.get('/sessions/:sessionId/status', (req, res) => {
+    const { sessionId } = req.params;
+    const readState = isValidSessionId(sessionId) ? getSessionStateReader(sessionId) : null;
+    
+    if (!readState) {
+        return res.status(404).json({ 
+            success: false, 
+            reason: 'session_not_found',
+            message: req.t('errors.session_not_found') 
+        });
+    }
+    
+    const wait = Math.min(Math.max(parseInt(req.query.wait, 10) || 0, 0), CONFIG.STATUS_MAX_WAIT_SECONDS);
+    res.set('Cache-Control', 'no-store');
+    
+    if (readState().state !== 'pending' || wait === 0 || shuttingDown) {
+        return res.json({ success: true, changed: false, ...readState() });
+    }
+    
+    function onEvent(event) {
+        if (event.payload.sessionId === sessionId && readState().state !== 'pending') {
+            finish();
+        }
+    }
+    
+    function release() {
+        clearTimeout(timer);
+        serviceEvents.off('event', onEvent);
+        statusWaiters.delete(finish);
+    }
+    
+    function finish() {
+        release();
+        const current = readState();
+        res.json({ success: true, changed: current.state !== 'pending', ...current });
+    }
+    
+    const timer = setTimeout(finish, wait * 1000);
+    serviceEvents.on('event', onEvent);
+    statusWaiters.add(finish);
+    req.on('close', release);
+});
+
+// QR login sessions: each has its own socket and rotating QR, served as PNG,
+// SVG or plain text for terminals. Poll /sessions/:sessionId/status to see it link.
+app.post('/sessions/qr', async (req, res) => {
+    const limit = checkGenerationLimits(req.ip);
+    if (limit) {
+        recordRateLimitRejection(limit.reason);
+        res.set('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ 
+            success: false, 
+            reason: limit.reason,
+            retryAfter: limit.retryAfter,
+            message: req.t(`errors.${limit.reason}`, limit.params) 
+        });
+    }
+    
+    if (sessions.size >= CONFIG.MAX_SESSIONS) {
+        return res.status(503).json({ 
+            success: false, 
+            reason: 'session_limit',
+            message: req.t('errors.session_limit') 
+        });
+    }
+    
+    try {
+        const session = await startSession(generateSessionId(), { type: 'qr' });
+        const base = `/sessions/${session.sessionId}`;
+        
+        req.log.info({ sessionId: session.sessionId }, 'QR session started');
+        
+        res.status(201).json({
+            success: true,
+            message: req.t('messages.qr_session_created'),
+            ...getPublicSessionInfo(session, req.locale),
+            links: {
+                png: `${base}/qr.png`,
+                svg: `${base}/qr.svg`,
+                text: `${base}/qr.txt`,
+                status: `${base}/status`
+            }
+        });
+    } catch (error) {
+        req.log.error({ err: error }, 'could not start QR session');
+        res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
+});
+
+const QR_FORMATS = {
+    png: {
+        contentType: 'image/png',
+        render: (qr) => QRCode.toBuffer(qr, { ...QR_RENDER_OPTIONS, type: 'png' })
+    },
+    svg: {
+        contentType: 'image/svg+xml',
+        render: (qr) => QRCode.toString(qr, { ...QR_RENDER_OPTIONS, type: 'svg' })
+    },
+    // Low error correction keeps the block-character QR small enough for a terminal
+    txt: {
+        contentType: 'text/plain; charset=utf-8',
+        render: (qr) => QRCode.toString(qr, { type: 'utf8', errorCorrectionLevel: 'L', margin: 2 })
+    }
+};
+
+function sendQrError(req, res, status, reason) {
+    res.status(status).json({ 
+        success: false, 
+        reason: reason,
+        message: req.t(`errors.${reason}`) 
+    });
+}
+
+app.get('/sessions/:sessionId/qr.:format', async (req, res, next) => {
+    const format = QR_FORMATS[req.params.format];
+    if (!format) {
+        return next();
+    }
+    
+    const session = sessions.get(req.params.sessionId);
+    res.set('Cache-Control', 'no-store');
+    
+    if (!session) {
+        return sendQrError(req, res, 404, 'session_not_found');
+    }
+    if (session.type !== 'qr') {
+        return sendQrError(req, res, 409, 'not_qr_session');
+    }
+    if (session.status === 'expired') {
+        return sendQrError(req, res, 410, 'qr_expired');
+    }
+    if (session.connectedAt) {
+        return sendQrError(req, res, 409, 'session_linked');
+    }
+    if (!session.qr) {
+        res.set('Retry-After', '2');
+        return sendQrError(req, res, 503, 'qr_unavailable');
+    }
+    
+    // Cacheable until WhatsApp rotates the QR; the ETag changes with each rotation
+    const maxAge = Math.max(0, Math.floor((session.qrExpiresAt - Date.now()) / 1000));
+    res.set({
+        'Cache-Control': `private, max-age=${maxAge}`,
+        'Expires': session.qrExpiresAt.toUTCString(),
+        'ETag': `"${crypto.createHash('sha1').update(session.qr).digest('hex').slice(0, 20)}-${req.params.format}"`,
+        'X-QR-Attempt': String(session.qrAttempts),
+        'X-QR-Max-Attempts': String(CONFIG.MAX_QR_ATTEMPTS)
+    });
+    
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    
+    try {
+        res.type(format.contentType).send(await format.render(session.qr));
+    } catch (error) {
+        req.log.error({ err: error, sessionId: session.sessionId }, 'could not render QR code');
+        res.set('Cache-Control', 'no-store');
+        sendQrError(req, res, 500, 'internal_error');
+    }
+});
+
+// Server-Sent Events stream of status, QR and pairing code updates
+const sseClients = new Set();
+
+// The streams are unauthenticated: numbers, session IDs and codes stay out of them
+const PRIVATE_EVENT_FIELDS = ['phoneNumber', 'linkedNumber', 'sessionId', 'displayCode', 'lastCode'];
+
+function writeSseEvent(res, event, language) {
+    const payload = { ...event.payload };
+    PRIVATE_EVENT_FIELDS.forEach((field) => delete payload[field]);
+    if (payload.statusText) {
+        payload.statusText = getStatusText(payload.status, language);
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...payload, at: event.at })}\n\n`);
+}
+
+serviceEvents.on('event', (event) => {
+    const eventSessionId = event.payload.sessionId;
+    
+    for (const client of sseClients) {
+        // Session and code events only reach the stream opened for that session;
+        // the global stream sees service-wide events.
+        const relevant = client.sessionId ? eventSessionId === client.sessionId : !eventSessionId;
+        
+        if (relevant) {
+            writeSseEvent(client.res, event, client.locale);
+        }
+    }
+});
+
+app.get('/events', (req, res) => {
+    const sessionId = req.query.sessionId || null;
+    const session = sessionId ? sessions.get(sessionId) : null;
+    
+    // Demo codes have a session ID but no socket
+    if (sessionId && !session && !findCodeBySession(sessionId)) {
+        return res.status(404).json({ 
+            success: false, 
+            reason: 'session_not_found',
+            message: req.t('errors.session_not_found') 
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CONFIG.SSE_RETRY_MS}\n\n`);
+    
+    const at = new Date().toISOString();
+    if (session) {
+        writeSseEvent(res, { type: 'session.status', at, payload: getSessionInfo(session) }, req.locale);
+        if (session.qrImage) {
+            writeSseEvent(res, { type: 'qr', at, payload: { qrImage: session.qrImage, attempt: session.qrAttempts, maxAttempts: CONFIG.MAX_QR_ATTEMPTS } });
+        }
+    } else if (!sessionId) {
+        writeSseEvent(res, { type: 'status', at, payload: getServiceStatus() }, req.locale);
+        if (botStatus === 'qr_ready' && qrImageDataUrl) {
+            writeSseEvent(res, { type: 'qr', at, payload: { qrImage: qrImageDataUrl, attempt: autoActivationAttempts, maxAttempts: CONFIG.MAX_QR_ATTEMPTS } });
+        }
+    }
+    
+    const client = { res, sessionId, locale: req.locale };
+    sseClients.add(client);
+    
+    req.on('close', () => {
+        sseClients.delete(client);
+    });
+});
+
+// Health check endpoint
+app.get('/health', async (req, res) => {
+    const readiness = await getReadiness();
+    
+    res.json({ 
+        status: readiness.ready ? 'healthy' : 'degraded',
+        service: 'WhatsApp Pairing Service',
+        company: CONFIG.COMPANY_NAME,
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        botStatus: botStatus,
+        checks: readiness.checks
+    });
+});
+
+// Liveness probe: the process is up and serving requests
+app.get('/livez', (req, res) => {
+    res.json({ 
+        success: true,
+        status: 'alive',
+        uptime: process.uptime()
+    });
+});
+
+// Readiness probe: 503 until the WhatsApp socket is open and auth storage is usable
+app.get('/readyz', async (req, res) => {
+    const readiness = await getReadiness();
+    
+    res.status(readiness.ready ? 200 : 503).json({ 
+        success: readiness.ready,
+        status: readiness.ready ? 'ready' : 'not_ready',
+        botStatus: botStatus,
+        checks: readiness.checks
+    });
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.end(await metricsRegistry.metrics());
+    } catch (error) {
+        req.log.error({ err: error }, 'could not collect metrics');
+        res.status(500).end();
+    }
+});
+
+// Verify pairing code endpoint
+app.post('/verify-code', (req, res) => {
+    const { code, sessionId } = req.body;
+    const admin = getRequestAdmin(req);
+    
+    if (!code && !sessionId) {
+        return res.status(400).json({ 
+            success: false, 
+            reason: 'missing_code',
+            message: req.t('errors.missing_code') 
+        });
+    }
+    
+    const retryAfter = admin ? null : getVerifyThrottle(req.ip);
+    if (retryAfter) {
+        recordRateLimitRejection('verify_throttled');
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ 
+            success: false, 
+            reason: 'verify_throttled',
+            retryAfter: retryAfter,
+            message: req.t('errors.verify_throttled') 
+        });
+    }
+    
+    let codeData;
+    let targetCode = null;
+    if (code) {
+        const cleanCode = String(code).replace(/-/g, '').toUpperCase();
+        codeData = pairingCodes.get(cleanCode) || pairingCodes.get(code);
+    } else {
+        codeData = findCodeBySession(sessionId);
+    }
+    
+    // A wrong code for a known session, or a known code with the wrong
+    // session, counts against that pairing code as well as the caller.
+    if (codeData && sessionId && codeData.sessionId !== sessionId) {
+        targetCode = codeData;
+        codeData = null;
+    } else if (!codeData && sessionId) {
+        targetCode = findCodeBySession(sessionId);
+    }
+    
+    if (!codeData) {
+        if (!admin) {
+            recordVerifyFailure(req.ip, targetCode);
+        }
+        codesVerifiedTotal.inc({ outcome: 'invalid' });
+        return res.json({ 
+            success: false, 
+            reason: 'invalid_code',
+            message: req.t('errors.invalid_code') 
+        });
+    }
+    
+    if (codeData.locked && !admin) {
+        codesVerifiedTotal.inc({ outcome: 'locked' });
+        return res.status(423).json({ 
+            success: false, 
+            reason: 'code_locked',
+            message: req.t('errors.code_locked') 
+        });
+    }
+    
+    if (codeData.status === 'expired') {
+        codesVerifiedTotal.inc({ outcome: 'expired' });
+        return res.json({ 
+            success: false, 
+            reason: 'code_expired',
+            message: req.t('errors.code_expired') 
+        });
+    }
+    
+    if (codeData.status === 'failed') {
+        codesVerifiedTotal.inc({ outcome: 'failed' });
+        return res.json({ 
+            success: false, 
+            reason: 'code_failed',
+            message: req.t('errors.code_failed') 
+        });
+    }
+    
+    if (codeData.status === 'revoked') {
+        codesVerifiedTotal.inc({ outcome: 'revoked' });
+        return res.json({ 
+            success: false, 
+            reason: 'code_revoked',
+            message: req.t('errors.code_revoked') 
+        });
+    }
+    
+    const session = sessions.get(codeData.sessionId);
+    let sessionInfo = null;
+    if (session) {
+        sessionInfo = admin ? getSessionInfo(session, req.locale) : getPublicSessionInfo(session, req.locale);
+    }
+    
+    const data = admin ? codeData : getPublicCodeData(codeData);
+    
+    if (codeData.status === 'linked') {
+        codesVerifiedTotal.inc({ outcome: 'linked' });
+        return res.json({ 
+            success: true, 
+            message: req.t('messages.code_linked'),
+            sessionId: codeData.sessionId,
+            data: data,
+            session: sessionInfo
+        });
+    }
+    
+    codesVerifiedTotal.inc({ outcome: 'valid' });
+    res.json({ 
+        success: true, 
+        message: req.t('messages.code_valid'),
+        data: data,
+        session: sessionInfo
+    });
+});
+
+// Export session credentials as a portable string. The string is a full
+// WhatsApp login, so only operators may read it.
+app.get('/session/:sessionId/export', requireAdmin('operator'), async (req, res) => {
+    const { sessionId } = req.params;
+    
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ 
+            success: false, 
+            reason: 'invalid_session_id',
+            message: req.t('errors.invalid_session_id') 
+        });
+    }
+    
+    try {
+        const sessionString = await exportSessionString(sessionId);
+        
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            sessionId: sessionId,
+            session: sessionString
+        });
+    } catch (error) {
+        res.status(404).json({ 
+            success: false, 
+            reason: 'no_credentials',
+            message: req.t('errors.no_credentials') 
+        });
+    }
+});
+
+// Restore a session from an exported string and reconnect it (operators only)
+app.post('/session/import', requireAdmin('operator'), async (req, res) => {
+    const { session } = req.body;
+    
+    if (!session) {
+        return res.status(400).json({ 
+            success: false, 
+            reason: 'missing_session_string',
+            message: req.t('errors.missing_session_string') 
+        });
+    }
+    
+    let sessionId;
+    try {
+        sessionId = await importSessionString(session);
+    } catch (error) {
+        return res.status(400).json({ 
+            success: false, 
+            reason: 'invalid_session_string',
+            message: req.t('errors.invalid_session_string'),
+            detail: error.message
+        });
+    }
+    
+    try {
+        const restored = await startSession(sessionId);
+        
+        res.json({
+            success: true,
+            message: req.t('messages.session_imported'),
+            ...getSessionInfo(restored, req.locale)
+        });
+    } catch (error) {
+        req.log.error({ err: error, sessionId }, 'could not start imported session');
+        res.status(500).json({ 
+            success: false, 
+            sessionId: sessionId,
+            reason: 'session_start_failed',
+            message: req.t('errors.session_start_failed') 
+        });
+    }
+});
+
+// All admin endpoints require at least the viewer role
+app.use('/admin', requireAdmin('viewer'));
+
+// List all active codes (admin endpoint)
+app.get('/admin/codes', (req, res) => {
+    const codes = Array.from(pairingCodes.entries()).map(([code, data]) => ({
+        code: code,
+        displayCode: data.displayCode,
+        phoneNumber: data.phoneNumber,
+        status: data.status,
+        createdAt: data.createdAt,
+        expiresAt: data.expiresAt,
+        linkedAt: data.linkedAt,
+        attempts: data.attempts,
+        locked: Boolean(data.locked)
+    }));
+    
+    res.json({
+        success: true,
+        count: codes.length,
+        codes: codes
+    });
+});
+
+function findCodeByParam(param) {
+    const code = String(param || '');
+    return pairingCodes.get(code.replace(/-/g, '').toUpperCase()) || pairingCodes.get(code) || null;
+}
+
+// Status history of one pairing code (admin endpoint)
+app.get('/admin/codes/:code/history', (req, res) => {
+    const codeData = findCodeByParam(req.params.code);
+    
+    if (!codeData) {
+        return res.status(404).json({ 
+            success: false, 
+            reason: 'code_not_found',
+            message: req.t('errors.code_not_found') 
+        });
+    }
+    
+    res.json({
+        success: true,
+        code: codeData.displayCode,
+        sessionId: codeData.sessionId,
+        status: codeData.status,
+        history: codeData.history || []
+    });
+});
+
+async function closeCode(codeData, status, admin) {
+    if (status === 'expired') {
+        codeData.expiresAt = new Date();
+    }
+    transitionCode(codeData, status, { reason: 'admin', by: admin.name });
+    
+    if (codeData.source !== 'demo') {
+        await destroySession(codeData.sessionId, { removeAuth: true });
+    }
+}
+
+function sendInvalidTransition(req, res, codeData, to) {
+    res.status(409).json({ 
+        success: false, 
+        reason: 'invalid_transition',
+        status: codeData.status,
+        message: req.t('errors.invalid_transition', { from: codeData.status, to }) 
+    });
+}
+
+// Revoke a pairing code (operator)
+app.post('/admin/codes/:code/revoke', requireAdmin('operator'), async (req, res) => {
+    const codeData = findCodeByParam(req.params.code);
+    
+    if (!codeData) {
+        return res.status(404).json({ 
+            success: false, 
+            reason: 'code_not_found',
+            message: req.t('errors.code_not_found') 
+        });
+    }
+    
+    if (!canTransitionCode(codeData, 'revoked')) {
+        return sendInvalidTransition(req, res, codeData, 'revoked');
+    }
+    
+    try {
+        await closeCode(codeData, 'revoked', req.admin);
+    } catch (error) {
+        req.log.error({ err: error, sessionId: codeData.sessionId }, 'could not close pairing code session');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            status: codeData.status,
+            message: req.t('errors.internal_error') 
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: req.t('messages.code_revoked'),
+        code: codeData.displayCode,
+        status: codeData.status
+    });
+});
+
+// Force-expire a pending pairing code (operator)
+app.post('/admin/codes/:code/expire', requireAdmin('operator'), async (req, res) => {
+    const codeData = findCodeByParam(req.params.code);
+    
+    if (!codeData) {
+        return res.status(404).json({ 
+            success: false, 
+            reason: 'code_not_found',
+            message: req.t('errors.code_not_found') 
+        });
+    }
+    
+    if (!canTransitionCode(codeData, 'expired')) {
+        return sendInvalidTransition(req, res, codeData, 'expired');
+    }
+    
+    try {
+        await closeCode(codeData, 'expired', req.admin);
+    } catch (error) {
+        req.log.error({ err: error, sessionId: codeData.sessionId }, 'could not close pairing code session');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            status: codeData.status,
+            message: req.t('errors.internal_error') 
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: req.t('messages.code_expired'),
+        code: codeData.displayCode,
+        status: codeData.status
+    });
+});
+
+// Disconnect or log out the active socket, or a single session (operator)
+async function handleSocketAction(req, res, logout) {
+    const { sessionId } = req.body;
+    const action = logout ? 'logged out' : 'disconnected';
+    
+    if (sessionId) {
+        if (!sessions.has(sessionId)) {
+            return res.status(404).json({ 
+                success: false, 
+                reason: 'session_not_found',
+                message: req.t('errors.session_not_found') 
+            });
+        }
+        
+        try {
+            if (logout) {
+                await resetAuthTarget(resolveAuthTarget(sessionId), { logout: true });
+            } else {
+                await destroySession(sessionId);
+            }
+        } catch (error) {
+            req.log.error({ err: error, sessionId, action }, 'could not close session');
+            return res.status(500).json({ 
+                success: false, 
+                reason: 'internal_error',
+                sessionId: sessionId,
+                message: req.t('errors.internal_error') 
+            });
+        }
+        req.log.info({ sessionId, action, admin: req.admin.name }, 'session closed by admin');
+        
+        return res.json({ 
+            success: true, 
+            message: req.t(logout ? 'messages.session_logged_out' : 'messages.session_disconnected'),
+            sessionId: sessionId
+        });
+    }
+    
+    if (!activeSocket) {
+        return res.status(409).json({ 
+            success: false, 
+            reason: 'no_active_socket',
+            message: req.t('errors.no_active_socket') 
+        });
+    }
+    
+    try {
+        if (logout) {
+            await resetAuthTarget(resolveAuthTarget('service'), { logout: true });
+        } else {
+            activeSocket.end(undefined);
+        }
+    } catch (error) {
+        req.log.error({ err: error, action }, 'could not close socket');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            status: botStatus,
+            message: req.t('errors.internal_error') 
+        });
+    }
+    
+    req.log.info({ action, admin: req.admin.name }, 'active socket closed by admin');
+    
+    res.json({ 
+        success: true, 
+        message: req.t(logout ? 'messages.socket_logged_out' : 'messages.socket_disconnected'),
+        status: botStatus
+    });
+}
+
+app.post('/admin/socket/disconnect', requireAdmin('operator'), (req, res) => handleSocketAction(req, res, false));
+app.post('/admin/socket/logout', requireAdmin('operator'), (req, res) => handleSocketAction(req, res, true));
+
+// Restart the service socket and reset the reconnect breaker (operator)
+app.post('/admin/socket/restart', requireAdmin('operator'), async (req, res) => {
+    const previous = getReconnectInfo();
+    
+    req.log.info({ admin: req.admin.name, previousState: previous.state }, 'service socket restarted by admin');
+    await restartWhatsApp();
+    
+    res.json({ 
+        success: true, 
+        message: req.t('messages.socket_restarting'),
+        status: botStatus,
+        previous: previous,
+        reconnect: getReconnectInfo()
+    });
 });
 
-// Generate pairing code endpoint
-app.post('/generate-code', async (req, res) => {
+// Auth state lifecycle for the service login ('service') or a session ID
+function getAuthTargetParam(req, res) {
+    const authTarget = resolveAuthTarget(req.params.target);
+    
+    if (!authTarget) {
+        res.status(400).json({ 
+            success: false, 
+            reason: 'invalid_auth_target',
+            message: req.t('errors.invalid_auth_target') 
+        });
+    }
+    return authTarget;
+}
+
+// List auth backups (admin endpoint)
+app.get('/admin/auth/:target/backups', async (req, res) => {
+    const authTarget = getAuthTargetParam(req, res);
+    if (!authTarget) {
+        return;
+    }
+    
+    let backups;
     try {
-        const { phoneNumber, countryCode } = req.body;
-        
-        if (!phoneNumber) {
+        backups = await listAuthBackups(authTarget.namespace);
+    } catch (error) {
+        req.log.error({ err: error, target: authTarget.target }, 'could not list auth backups');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
+    
+    res.json({
+        success: true,
+        target: authTarget.target,
+        retention: {
+            count: CONFIG.BACKUP_RETENTION_COUNT,
+            days: CONFIG.BACKUP_RETENTION_DAYS
+        },
+        backups: backups
+    });
+});
+
+// Take a backup now (operator)
+app.post('/admin/auth/:target/backups', requireAdmin('operator'), async (req, res) => {
+    const authTarget = getAuthTargetParam(req, res);
+    if (!authTarget) {
+        return;
+    }
+    
+    let backup;
+    try {
+        backup = await createAuthBackup(authTarget, 'manual');
+    } catch (error) {
+        req.log.error({ err: error, target: authTarget.target }, 'could not take auth backup');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
+    
+    if (!backup) {
+        return res.status(409).json({ 
+            success: false, 
+            reason: 'nothing_to_back_up',
+            message: req.t('errors.nothing_to_back_up') 
+        });
+    }
+    
+    req.log.info({ target: authTarget.target, backupId: backup.id, admin: req.admin.name }, 'auth backup taken by admin');
+    
+    res.json({
+        success: true,
+        target: authTarget.target,
+        backup: backup
+    });
+});
+
+// Replace the credentials with a backup and reconnect (operator)
+app.post('/admin/auth/:target/restore', requireAdmin('operator'), async (req, res) => {
+    const authTarget = getAuthTargetParam(req, res);
+    if (!authTarget) {
+        return;
+    }
+    
+    let result;
+    try {
+        result = await restoreAuthBackup(authTarget, req.body.backupId);
+    } catch (error) {
+        if (error.invalidBackup) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Phone number is required' 
+                reason: 'invalid_backup',
+                message: req.t('errors.invalid_backup'),
+                detail: error.message
             });
         }
         
-        const validation = validateAndFormatPhoneNumber(phoneNumber);
-        
-        if (!validation.isValid) {
-            return res.status(400).json({ 
+        if (error.credentialsReplaced) {
+            req.log.error({ err: error, target: authTarget.target, backupId: req.body.backupId, admin: req.admin.name }, 'auth restore stopped after the credentials were replaced');
+            return res.status(500).json({ 
                 success: false, 
-                message: validation.error 
+                reason: 'restore_incomplete',
+                message: req.t('errors.restore_incomplete'),
+                detail: error.message,
+                safetyBackup: error.safetyBackup
             });
         }
         
-        const codeData = generateNewPairingCode(
-            validation.formatted,
-            validation.country
-        );
-        
-        res.json({ 
-            success: true,
-            code: codeData.code,
-            displayCode: codeData.displayCode,
-            phoneNumber: validation.formatted,
-            international: validation.international,
-            country: validation.country,
-            countryCode: validation.countryCode,
-            sessionId: codeData.sessionId,
-            expiresAt: codeData.expiresAt,
-            status: codeData.status,
-            message: `${CONFIG.COMPANY_NAME}: Pairing code generated successfully!`,
+        req.log.error({ err: error, target: authTarget.target, backupId: req.body.backupId }, 'could not restore auth backup');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
         });
-        
-    } catch (error) {
-        console.error('Error generating pairing code:', error);
-        res.status(500).json({ 
+    }
+    
+    if (!result) {
+        return res.status(404).json({ 
             success: false, 
-            message: 'Internal server error while generating code' 
+            reason: 'backup_not_found',
+            message: req.t('errors.backup_not_found') 
         });
     }
+    
+    req.log.warn({ target: authTarget.target, backupId: result.restored, admin: req.admin.name }, 'auth state restored by admin');
+    
+    res.json({
+        success: true,
+        target: authTarget.target,
+        message: req.t('messages.credentials_restored'),
+        ...result
+    });
 });
 
-// Get QR code endpoint
-app.post('/getqr', async (req, res) => {
+// Back up, log out of WhatsApp and remove the credentials (operator)
+app.post('/admin/auth/:target/logout', requireAdmin('operator'), (req, res) => handleAuthReset(req, res, true));
+
+// Back up and remove the credentials without contacting WhatsApp (operator)
+app.post('/admin/auth/:target/reset', requireAdmin('operator'), (req, res) => handleAuthReset(req, res, false));
+
+async function handleAuthReset(req, res, logout) {
+    const authTarget = getAuthTargetParam(req, res);
+    if (!authTarget) {
+        return;
+    }
+    
+    let backup;
     try {
-        if (botStatus === 'qr_ready' && qrImageDataUrl) {
-            res.json({
-                success: true,
-                qrImage: qrImageDataUrl,
-                message: 'Scan this QR code in WhatsApp',
-                status: botStatus
-            });
-        } else {
-            res.status(200).json({ 
+        if (authTarget.target !== 'service' && !sessions.has(authTarget.target) && 
+            (await authTarget.store.list()).length === 0) {
+            return res.status(404).json({ 
                 success: false, 
-                message: 'QR code not available yet. Please wait for connection...',
-                status: botStatus,
-                qrAttempts: autoActivationAttempts,
-                maxAttempts: CONFIG.MAX_QR_ATTEMPTS
+                reason: 'session_not_found',
+                message: req.t('errors.session_not_found') 
             });
         }
+        
+        backup = await resetAuthTarget(authTarget, { logout });
     } catch (error) {
-        console.error('Error getting QR code:', error);
-        res.status(500).json({ 
+        req.log.error({ err: error, target: authTarget.target, logout }, 'could not reset auth state');
+        return res.status(500).json({ 
             success: false, 
-            message: 'Error getting QR code' 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
         });
     }
-});
+    
+    req.log.warn({ target: authTarget.target, logout, admin: req.admin.name }, 'auth state reset by admin');
+    
+    res.json({
+        success: true,
+        target: authTarget.target,
+        message: req.t(authTarget.target === 'service' 
+            ? 'messages.service_credentials_removed' 
+            : 'messages.session_credentials_removed'),
+        backup: backup
+    });
+}
 
-// Status endpoint
-app.get('/status', (req, res) => {
+// Webhook endpoints and delivery state (admin endpoint)
+app.get('/admin/webhooks', (req, res) => {
     res.json({
-        status: botStatus,
-        statusText: getStatusText(botStatus),
-        statusColor: getStatusColor(botStatus),
-        pairingCodes: pairingCodes.size,
-        lastCode: lastGeneratedDisplayCode,
-        qrAttempts: autoActivationAttempts,
-        maxQrAttempts: CONFIG.MAX_QR_ATTEMPTS,
-        qrReady: botStatus === 'qr_ready',
-        online: botStatus === 'online',
-        company: CONFIG.COMPANY_NAME,
-        version: CONFIG.VERSION,
-        lastConnectionUpdate: lastConnectionUpdate,
-        uptime: process.uptime()
+        success: true,
+        events: WEBHOOK_EVENTS,
+        endpoints: webhookEndpoints.map((endpoint) => ({ url: endpoint.url, events: endpoint.events })),
+        pendingRetries: webhookRetryTimers.size,
+        deadLetters: webhookDeadLetters.length
     });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy',
-        service: 'WhatsApp Pairing Service',
-        company: CONFIG.COMPANY_NAME,
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        botStatus: botStatus
+// Failed webhook deliveries (admin endpoint)
+app.get('/admin/webhooks/dead-letters', (req, res) => {
+    res.json({
+        success: true,
+        count: webhookDeadLetters.length,
+        deliveries: webhookDeadLetters.map(({ body, ...delivery }) => ({ ...delivery, payload: JSON.parse(body) }))
     });
 });
 
-// Verify pairing code endpoint
-app.post('/verify-code', (req, res) => {
-    const { code } = req.body;
+// Replay failed webhook deliveries, all or by id (operator)
+app.post('/admin/webhooks/replay', requireAdmin('operator'), async (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids : null;
+    const toReplay = webhookDeadLetters.filter((delivery) => !ids || ids.includes(delivery.id));
     
-    if (!code) {
-        return res.status(400).json({ 
+    if (toReplay.length === 0) {
+        return res.status(404).json({ 
             success: false, 
-            message: 'Code is required' 
+            reason: 'no_dead_letters',
+            message: req.t('errors.no_dead_letters') 
         });
     }
     
-    const cleanCode = code.replace(/-/g, '').toUpperCase();
-    const codeData = pairingCodes.get(cleanCode) || pairingCodes.get(code);
+    webhookDeadLetters = webhookDeadLetters.filter((delivery) => !toReplay.includes(delivery));
+    try {
+        await saveWebhookDeadLetters();
+    } catch (error) {
+        // Nothing was replayed, so the deliveries stay dead-lettered
+        webhookDeadLetters = webhookDeadLetters.concat(toReplay).sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+        req.log.error({ err: error }, 'could not save webhook dead letters');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
     
-    if (!codeData) {
-        return res.json({ 
+    for (const delivery of toReplay) {
+        const { failedAt, ...retry } = delivery;
+        attemptWebhookDelivery({ ...retry, attempts: 0, lastError: null });
+    }
+    
+    req.log.info({ count: toReplay.length, admin: req.admin.name }, 'replaying webhook deliveries');
+    
+    res.json({
+        success: true,
+        message: req.t('messages.replaying_deliveries', { count: toReplay.length }),
+        ids: toReplay.map((delivery) => delivery.id)
+    });
+});
+
+// Block/allow lists for code generation (admin endpoint)
+app.get('/admin/access-lists', (req, res) => {
+    res.json({
+        success: true,
+        ...accessLists
+    });
+});
+
+// Add numbers or country codes to a list (operator)
+app.post('/admin/access-lists/:list', requireAdmin('operator'), async (req, res) => {
+    const list = accessLists[req.params.list];
+    
+    if (!list) {
+        return res.status(404).json({ 
             success: false, 
-            message: 'Invalid pairing code' 
+            reason: 'invalid_list',
+            message: req.t('errors.invalid_list') 
         });
     }
     
-    if (codeData.status === 'expired') {
-        return res.json({ 
+    const { numbers, countryCodes, invalid } = normalizeAccessListEntries(req.body);
+    
+    if (invalid.length > 0) {
+        return res.status(400).json({ 
             success: false, 
-            message: 'This pairing code has expired' 
+            reason: 'invalid_list_entries',
+            message: req.t('errors.invalid_list_entries'),
+            invalid: invalid
         });
     }
     
-    if (codeData.status === 'linked') {
-        return res.json({ 
-            success: true, 
-            message: 'Pairing code already linked',
-            data: codeData
+    try {
+        await updateAccessList(list, {
+            numbers: Array.from(new Set([...list.numbers, ...numbers])),
+            countryCodes: Array.from(new Set([...list.countryCodes, ...countryCodes]))
+        });
+    } catch (error) {
+        req.log.error({ err: error, list: req.params.list }, 'could not save access lists');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
         });
     }
     
-    res.json({ 
-        success: true, 
-        message: 'Valid pairing code',
-        data: codeData
+    req.log.info({ list: req.params.list, admin: req.admin.name }, 'access list updated');
+    
+    res.json({
+        success: true,
+        list: req.params.list,
+        ...list
     });
 });
 
-// List all active codes (admin endpoint)
-app.get('/admin/codes', (req, res) => {
-    const codes = Array.from(pairingCodes.entries()).map(([code, data]) => ({
-        code: code,
-        displayCode: data.displayCode,
-        phoneNumber: data.phoneNumber,
-        status: data.status,
-        createdAt: data.createdAt,
-        expiresAt: data.expiresAt,
-        linkedAt: data.linkedAt
-    }));
+// Remove a number (+E.164) or country code from a list (operator)
+app.delete('/admin/access-lists/:list/:value', requireAdmin('operator'), async (req, res) => {
+    const list = accessLists[req.params.list];
+    
+    if (!list) {
+        return res.status(404).json({ 
+            success: false, 
+            reason: 'invalid_list',
+            message: req.t('errors.invalid_list') 
+        });
+    }
+    
+    const value = req.params.value;
+    const { numbers, countryCodes } = normalizeAccessListEntries(
+        value.startsWith('+') ? { numbers: [value] } : { countryCodes: [value] }
+    );
+    
+    try {
+        await updateAccessList(list, {
+            numbers: list.numbers.filter((entry) => !numbers.includes(entry)),
+            countryCodes: list.countryCodes.filter((entry) => !countryCodes.includes(entry))
+        });
+    } catch (error) {
+        req.log.error({ err: error, list: req.params.list }, 'could not save access lists');
+        return res.status(500).json({ 
+            success: false, 
+            reason: 'internal_error',
+            message: req.t('errors.internal_error') 
+        });
+    }
+    
+    req.log.info({ list: req.params.list, admin: req.admin.name }, 'access list updated');
     
     res.json({
         success: true,
-        count: codes.length,
-        codes: codes
+        list: req.params.list,
+        ...list
     });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    (req.log || logger).error({ err }, 'unhandled route error');
     res.status(500).json({ 
         success: false, 
-        message: 'Internal Server Error',
+        reason: 'internal_error',
+        message: translate(req.locale || CONFIG.DEFAULT_LANGUAGE, 'errors.internal_error'),
         error: process.env.NODE_ENV === 'development' ? err.message : undefined
     });
 });
@@ -1285,51 +4547,196 @@ app.use((err, req, res, next) => {
 app.use((req, res) => {
     res.status(404).json({ 
         success: false, 
-        message: 'Endpoint not found' 
+        reason: 'not_found',
+        message: req.t('errors.not_found') 
     });
 });
 
 // ==================== START SERVER ====================
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log('\n' + '='.repeat(60));
-    console.log(`🚀 ${CONFIG.COMPANY_NAME} WhatsApp Pairing Service v${CONFIG.VERSION}`);
-    console.log(`🌐 Server running on port ${PORT}`);
-    console.log(`📱 Visit: http://localhost:${PORT}`);
-    console.log(`⚡ Auto-Activation: ${CONFIG.AUTO_ACTIVATED ? 'ENABLED' : 'DISABLED'}`);
-    console.log(`📞 Support: ${CONFIG.COMPANY_CONTACT}`);
-    console.log('='.repeat(60) + '\n');
-});
-
-// Initialize WhatsApp connection
-setTimeout(() => {
-    console.log('Initializing WhatsApp connection...');
-    initWhatsApp();
-}, 2000);
+let server = null;
 
-// Cleanup expired codes every minute
-setInterval(cleanupExpiredCodes, CONFIG.CLEANUP_INTERVAL);
+// Background timers, cleared on shutdown
+const backgroundTimers = [];
 
-// Graceful shutdown handler
-process.on('SIGINT', () => {
-    console.log(`\n🛑 ${CONFIG.COMPANY_NAME} - Shutting down gracefully...`);
+function startServer() {
+    server = app.listen(PORT, '0.0.0.0', () => {
+        logger.info({
+            port: PORT,
+            url: `http://localhost:${PORT}`,
+            autoActivation: CONFIG.AUTO_ACTIVATED,
+            codeSource: CONFIG.DEMO_MODE ? 'demo' : 'whatsapp',
+            support: CONFIG.COMPANY_CONTACT
+        }, `${CONFIG.COMPANY_NAME} WhatsApp Pairing Service v${CONFIG.VERSION} started`);
+    });
+    
+    // Restore persisted pairing codes and sessions
+    restorePersistedState().catch((error) => {
+        logger.error({ err: error }, 'could not restore persisted state');
+    });
+    
+    // Initialize WhatsApp connection
+    backgroundTimers.push(setTimeout(() => {
+        initWhatsApp();
+    }, 2000));
+    
+    // Cleanup expired codes and QR sessions every minute
+    backgroundTimers.push(setInterval(cleanupExpiredCodes, CONFIG.CLEANUP_INTERVAL));
+    backgroundTimers.push(setInterval(pruneExpiredSessions, CONFIG.CLEANUP_INTERVAL));
+    
+    // Drop rate-limit counters that have left their window
+    backgroundTimers.push(setInterval(pruneGenerationAttempts, CONFIG.CLEANUP_INTERVAL));
+    backgroundTimers.push(setInterval(pruneVerifyFailures, CONFIG.CLEANUP_INTERVAL));
+    backgroundTimers.push(setInterval(pruneRegistrationCache, CONFIG.CLEANUP_INTERVAL));
     
-    if (activeSocket) {
-        console.log('Closing WhatsApp connection...');
-        activeSocket.end();
+    // Keep SSE connections open through proxies that drop idle streams
+    backgroundTimers.push(setInterval(() => {
+        for (const client of sseClients) {
+            client.res.write(': ping\n\n');
+        }
+    }, CONFIG.SSE_HEARTBEAT_INTERVAL));
+    
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    
+    // Handle uncaught errors
+    process.on('uncaughtException', (error) => {
+        logger.fatal({ err: error }, 'uncaught exception');
+    });
+    
+    process.on('unhandledRejection', (reason, promise) => {
+        logger.error({ err: reason }, 'unhandled rejection');
+    });
+}
+
+// ==================== SHUTDOWN ====================
+// SIGINT and SIGTERM stop new requests, let in-flight ones finish, persist
+// credentials and pairing state, then close the sockets. Anything still
+// running at SHUTDOWN_TIMEOUT_MS is abandoned and the process exits non-zero.
+let shuttingDown = false;
+let inFlightRequests = 0;
+
+function trackInFlightRequests(req, res, next) {
+    if (shuttingDown) {
+        res.set('Connection', 'close');
+        return res.status(503).json({ 
+            success: false, 
+            reason: 'shutting_down',
+            message: req.t('errors.shutting_down') 
+        });
     }
     
-    server.close(() => {
-        console.log('✅ Server closed');
-        console.log('👋 Goodbye!');
-        process.exit(0);
+    inFlightRequests++;
+    res.on('close', () => {
+        inFlightRequests--;
     });
-});
+    next();
+}
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
-});
+async function waitForInFlightRequests() {
+    while (inFlightRequests > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+}
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-});
+async function closeAllSockets() {
+    // Baileys doesn't await creds.update handlers, so write the latest creds once more
+    if (activeSocket && activeSaveCreds) {
+        await activeSaveCreds().catch((err) => socketLog.error({ err }, 'could not save credentials'));
+    }
+    socketLog.info('closing WhatsApp connection');
+    detachServiceSocket();
+    
+    for (const session of Array.from(sessions.values())) {
+        if (session.saveCreds) {
+            await session.saveCreds().catch((err) => {
+                socketLog.error({ err, sessionId: session.sessionId }, 'could not save credentials');
+            });
+        }
+        await destroySession(session.sessionId);
+    }
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn({ signal }, 'second shutdown signal, exiting immediately');
+        process.exit(1);
+    }
+    
+    shuttingDown = true;
+    logger.info({ signal, inFlight: inFlightRequests, timeoutMs: CONFIG.SHUTDOWN_TIMEOUT_MS }, 'shutting down');
+    
+    setTimeout(() => {
+        logger.error({ inFlight: inFlightRequests }, 'shutdown deadline exceeded, exiting');
+        process.exit(1);
+    }, CONFIG.SHUTDOWN_TIMEOUT_MS).unref();
+    
+    // closeIdleConnections/closeAllConnections need Node 18.2+
+    server.close();
+    server.closeIdleConnections?.();
+    
+    // Event streams never finish on their own
+    for (const client of sseClients) {
+        client.res.end();
+    }
+    sseClients.clear();
+    
+    // Long-polls answer now with whatever state they have
+    for (const finish of statusWaiters) {
+        finish();
+    }
+    
+    backgroundTimers.forEach((timer) => clearInterval(timer));
+    codeExpiryTimers.forEach((timer) => clearTimeout(timer));
+    codeExpiryTimers.clear();
+    sessions.forEach((session) => clearTimeout(session.reconnectTimer));
+    
+    // Queued webhook retries are dead-lettered so they can be replayed after restart
+    const deadLetters = [];
+    for (const [timer, delivery] of webhookRetryTimers) {
+        clearTimeout(timer);
+        deadLetters.push(recordWebhookDeadLetter({ ...delivery, lastError: `Shutdown before retry (${delivery.lastError})` }));
+    }
+    webhookRetryTimers.clear();
+    
+    try {
+        await waitForInFlightRequests();
+        await closeAllSockets();
+        await Promise.all(deadLetters);
+        await recordStore.flush();
+        
+        if (sqliteDb) {
+            sqliteDb.close();
+        }
+    } catch (error) {
+        logger.error({ err: error }, 'error during shutdown');
+        process.exit(1);
+    }
+    
+    server.closeAllConnections?.();
+    logger.info('shutdown complete');
+    process.exit(0);
+}
+
+// ==================== ENTRY POINT ====================
+// `node server.js` runs the service. Requiring the module (as test/ does)
+// only builds the app, so its parts can be exercised without a listener.
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    app,
+    CONFIG,
+    emitServiceEvent,
+    generateAlphanumericCode,
+    formatDisplayCode,
+    validateAndFormatPhoneNumber,
+    createFileAuthStore,
+    createSqliteAuthStore,
+    createEncryptedAuthStore,
+    useStoreAuthState,
+    getSessionAuthStore,
+    exportSessionString,
+    parseSessionString,
+    importSessionString
+};
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { loadServer, listen, createAdminRequest } = require('./helpers');
+
+const OPERATOR_KEY = 'backup-test-operator';
+const SESSION_ID = 'IAN_TECH_1700000000000_BACKUP';
+const CREDS = JSON.stringify({ registered: true, me: { id: '254723278526:4@s.whatsapp.net' } });
+
+const { server, cleanup } = loadServer({ AUTH_STORE: 'file', ADMIN_API_KEYS: `${OPERATOR_KEY}:operator` });
+const { CONFIG, getSessionAuthStore } = server;
+
+let api;
+let adminRequest;
+
+// Swaps an fs-extra function for one that fails while `action` runs
+async function withFailing(name, action) {
+    const original = fs[name];
+    fs[name] = () => Promise.reject(new Error('disk failure'));
+    try {
+        return await action();
+    } finally {
+        fs[name] = original;
+    }
+}
+
+before(async () => {
+    await getSessionAuthStore(SESSION_ID).write('creds', CREDS);
+    
+    api = await listen(server.app);
+    adminRequest = createAdminRequest(api.url, OPERATOR_KEY);
+});
+
+after(async () => {
+    await api.close();
+    cleanup();
+});
+
+describe('auth backup endpoints', () => {
+    let backupId;
+    
+    it('takes and lists a backup', async () => {
+        const taken = await adminRequest('POST', `/admin/auth/${SESSION_ID}/backups`);
+        assert.strictEqual(taken.status, 200);
+        backupId = taken.body.backup.id;
+        
+        const listed = await adminRequest('GET', `/admin/auth/${SESSION_ID}/backups`);
+        assert.strictEqual(listed.status, 200);
+        assert.deepStrictEqual(listed.body.backups.map((backup) => backup.id), [backupId]);
+    });
+    
+    it('answers 500 when backups cannot be listed or written', async () => {
+        const listed = await withFailing('readdir', () => adminRequest('GET', `/admin/auth/${SESSION_ID}/backups`));
+        assert.strictEqual(listed.status, 500);
+        assert.strictEqual(listed.body.reason, 'internal_error');
+        
+        const taken = await withFailing('writeFile', () => adminRequest('POST', `/admin/auth/${SESSION_ID}/backups`));
+        assert.strictEqual(taken.status, 500);
+        assert.strictEqual(taken.body.reason, 'internal_error');
+    });
+    
+    it('rejects an invalid backup ID with 400 and an unknown one with 404', async () => {
+        const invalid = await adminRequest('POST', `/admin/auth/${SESSION_ID}/restore`, { backupId: '../creds' });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.reason, 'invalid_backup');
+        
+        const missing = await adminRequest('POST', `/admin/auth/${SESSION_ID}/restore`, { backupId: '20200101T000000000Z-manual' });
+        assert.strictEqual(missing.status, 404);
+        assert.strictEqual(missing.body.reason, 'backup_not_found');
+    });
+    
+    it('answers 500 without touching the credentials when the safety backup fails', async () => {
+        const restored = await withFailing('writeFile', () => adminRequest('POST', `/admin/auth/${SESSION_ID}/restore`, { backupId }));
+        
+        assert.strictEqual(restored.status, 500);
+        assert.strictEqual(restored.body.reason, 'internal_error');
+        assert.strictEqual(await getSessionAuthStore(SESSION_ID).read('creds'), CREDS);
+    });
+    
+    it('reports restore_incomplete when the restart fails after the credentials were replaced', async () => {
+        const maxSessions = CONFIG.MAX_SESSIONS;
+        CONFIG.MAX_SESSIONS = 0;
+        let restored;
+        try {
+            restored = await adminRequest('POST', `/admin/auth/${SESSION_ID}/restore`, { backupId });
+        } finally {
+            CONFIG.MAX_SESSIONS = maxSessions;
+        }
+        
+        assert.strictEqual(restored.status, 500);
+        assert.strictEqual(restored.body.reason, 'restore_incomplete');
+        assert.match(restored.body.detail, /Maximum of 0 sessions/);
+        assert.strictEqual(restored.body.safetyBackup.reason, 'pre_restore');
+        assert.strictEqual(await getSessionAuthStore(SESSION_ID).read('creds'), CREDS);
+    });
+    
+    it('answers 500 when the credentials cannot be reset', async () => {
+        const reset = await withFailing('writeFile', () => adminRequest('POST', `/admin/auth/${SESSION_ID}/reset`));
+        
+        assert.strictEqual(reset.status, 500);
+        assert.strictEqual(reset.body.reason, 'internal_error');
+    });
+});
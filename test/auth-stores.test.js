@@ -0,0 +1,223 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { loadServer } = require('./helpers');
+
+const { dir, server, cleanup } = loadServer({ AUTH_ENCRYPTION_KEY: 'conformance-test-key' });
+const {
+    CONFIG,
+    createFileAuthStore,
+    createSqliteAuthStore,
+    createEncryptedAuthStore,
+    useStoreAuthState
+} = server;
+
+after(cleanup);
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+
+let storeCount = 0;
+
+const BACKENDS = [
+    {
+        name: 'file',
+        create: () => createFileAuthStore(path.join(dir, 'file', `store-${++storeCount}`))
+    },
+    {
+        name: 'sqlite',
+        skip: !hasSqlite && 'better-sqlite3 is not installed',
+        create: () => createSqliteAuthStore(`store-${++storeCount}`)
+    },
+    {
+        name: 'encrypted',
+        create: () => createEncryptedAuthStore(path.join(dir, 'encrypted', `store-${++storeCount}.enc`))
+    }
+];
+
+// Every backend must behave the same behind useStoreAuthState
+for (const backend of BACKENDS) {
+    describe(`${backend.name} auth store`, { skip: backend.skip }, () => {
+        it('reads missing keys as null and lists nothing when empty', async () => {
+            const store = backend.create();
+            
+            assert.strictEqual(store.type, backend.name);
+            assert.strictEqual(await store.read('creds'), null);
+            assert.deepStrictEqual(await store.list(), []);
+        });
+        
+        it('writes, overwrites and lists entries', async () => {
+            const store = backend.create();
+            
+            await store.write('creds', '{"registered":false}');
+            await store.write('pre-key-1', '{"id":1}');
+            await store.write('creds', '{"registered":true}');
+            
+            assert.strictEqual(await store.read('creds'), '{"registered":true}');
+            assert.strictEqual(await store.read('pre-key-1'), '{"id":1}');
+            assert.deepStrictEqual((await store.list()).sort(), ['creds', 'pre-key-1']);
+        });
+        
+        it('removes single entries and ignores missing ones', async () => {
+            const store = backend.create();
+            
+            await store.write('pre-key-1', '{}');
+            await store.write('pre-key-2', '{}');
+            await store.remove('pre-key-1');
+            await store.remove('pre-key-404');
+            
+            assert.strictEqual(await store.read('pre-key-1'), null);
+            assert.deepStrictEqual(await store.list(), ['pre-key-2']);
+        });
+        
+        it('clears everything and stays usable afterwards', async () => {
+            const store = backend.create();
+            
+            await store.write('creds', '{}');
+            await store.write('session-1.0', '{}');
+            await store.clear();
+            
+            assert.deepStrictEqual(await store.list(), []);
+            assert.strictEqual(await store.read('creds'), null);
+            
+            await store.write('creds', '{"fresh":true}');
+            assert.strictEqual(await store.read('creds'), '{"fresh":true}');
+        });
+        
+        it('keeps separate stores apart', async () => {
+            const first = backend.create();
+            const second = backend.create();
+            
+            await first.write('creds', '{"store":1}');
+            await second.write('creds', '{"store":2}');
+            await second.clear();
+            
+            assert.strictEqual(await first.read('creds'), '{"store":1}');
+            assert.strictEqual(await second.read('creds'), null);
+        });
+        
+        it('keeps every entry of a burst of concurrent writes', async () => {
+            const store = backend.create();
+            const keys = Array.from({ length: 20 }, (value, index) => `pre-key-${index}`);
+            
+            await Promise.all(keys.map((key) => store.write(key, JSON.stringify({ key }))));
+            
+            assert.deepStrictEqual((await store.list()).sort(), keys.slice().sort());
+            for (const key of keys) {
+                assert.deepStrictEqual(JSON.parse(await store.read(key)), { key });
+            }
+        });
+        
+        it('saves and reloads creds through useStoreAuthState', async () => {
+            const store = backend.create();
+            const { state, saveCreds } = await useStoreAuthState(store);
+            
+            state.creds.registered = true;
+            state.creds.me = { id: '254723278526:4@s.whatsapp.net' };
+            state.creds.advSecretKey = Buffer.from('secret').toString('base64');
+            state.creds.signedIdentityKey = { private: Buffer.from([1, 2, 3]), public: Buffer.from([4, 5, 6]) };
+            await saveCreds();
+            
+            // initAuthCreds() leaves some keys undefined, and JSON drops those
+            const saved = JSON.parse(JSON.stringify(state.creds, BufferJSON.replacer), BufferJSON.reviver);
+            const reloaded = await useStoreAuthState(store);
+            assert.deepStrictEqual(reloaded.state.creds, saved);
+            assert.ok(Buffer.isBuffer(reloaded.state.creds.signedIdentityKey.private));
+        });
+        
+        it('sets, gets and deletes signal keys', async () => {
+            const store = backend.create();
+            const { state } = await useStoreAuthState(store);
+            const preKey = { private: Buffer.from([7, 8]), public: Buffer.from([9, 10]) };
+            
+            await state.keys.set({
+                'pre-key': { 1: preKey, 2: preKey },
+                'session': { '254723278526.0': { record: 'opaque' } },
+                'sender-key': { 'group@g.us::254723278526::0': { chain: 'opaque' } }
+            });
+            
+            assert.deepStrictEqual(await state.keys.get('pre-key', ['1', '2', '3']), { 1: preKey, 2: preKey, 3: null });
+            assert.deepStrictEqual(await state.keys.get('session', ['254723278526.0']), { '254723278526.0': { record: 'opaque' } });
+            // Slashes and colons are mapped to file-name-safe keys
+            assert.deepStrictEqual(await state.keys.get('sender-key', ['group@g.us::254723278526::0']), { 'group@g.us::254723278526::0': { chain: 'opaque' } });
+            assert.ok((await store.list()).every((key) => !/[/:]/.test(key)));
+            
+            await state.keys.set({ 'pre-key': { 1: null } });
+            assert.deepStrictEqual(await state.keys.get('pre-key', ['1', '2']), { 1: null, 2: preKey });
+        });
+    });
+}
+
+describe('encrypted auth store file', () => {
+    const originalKey = CONFIG.AUTH_ENCRYPTION_KEY;
+    let filePath;
+    
+    before(async () => {
+        filePath = path.join(dir, 'encrypted', 'at-rest.enc');
+        const store = createEncryptedAuthStore(filePath);
+        await store.write('creds', '{"me":{"id":"254723278526@s.whatsapp.net"}}');
+    });
+    
+    after(() => {
+        CONFIG.AUTH_ENCRYPTION_KEY = originalKey;
+    });
+    
+    it('keeps no plaintext on disk', async () => {
+        const raw = await fs.readFile(filePath);
+        assert.ok(!raw.toString('latin1').includes('254723278526'));
+    });
+    
+    it('reads back with the same key', async () => {
+        const copy = path.join(dir, 'encrypted', 'same-key.enc');
+        await fs.copy(filePath, copy);
+        
+        const store = createEncryptedAuthStore(copy);
+        assert.strictEqual(await store.read('creds'), '{"me":{"id":"254723278526@s.whatsapp.net"}}');
+    });
+    
+    it('refuses to decrypt with the wrong key', async () => {
+        const copy = path.join(dir, 'encrypted', 'wrong-key.enc');
+        await fs.copy(filePath, copy);
+        
+        CONFIG.AUTH_ENCRYPTION_KEY = 'not-the-key';
+        const store = createEncryptedAuthStore(copy);
+        await assert.rejects(store.read('creds'), /wrong AUTH_ENCRYPTION_KEY or corrupted file/);
+        CONFIG.AUTH_ENCRYPTION_KEY = originalKey;
+    });
+    
+    it('refuses a corrupted file', async () => {
+        const copy = path.join(dir, 'encrypted', 'corrupted.enc');
+        const raw = await fs.readFile(filePath);
+        raw[raw.length - 1] ^= 0xff;
+        await fs.writeFile(copy, raw);
+        
+        await assert.rejects(createEncryptedAuthStore(copy).read('creds'), /wrong AUTH_ENCRYPTION_KEY or corrupted file/);
+    });
+    
+    it('coalesces a burst of writes into a single re-encryption', async () => {
+        const store = createEncryptedAuthStore(path.join(dir, 'encrypted', 'coalesced.enc'));
+        await store.write('creds', '{}');
+        
+        const rename = fs.rename;
+        let renames = 0;
+        fs.rename = (...args) => {
+            renames++;
+            return rename.apply(fs, args);
+        };
+        
+        try {
+            await Promise.all(Array.from({ length: 25 }, (value, index) => store.write(`pre-key-${index}`, '{}')));
+        } finally {
+            fs.rename = rename;
+        }
+        
+        assert.strictEqual(renames, 1);
+        assert.strictEqual((await store.list()).length, 26);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { server, cleanup } = loadServer({ CODE_GROUP_SIZE: '4' });
+const { CONFIG, generateAlphanumericCode, formatDisplayCode } = server;
+
+after(cleanup);
+
+const notTaken = () => false;
+
+describe('generateAlphanumericCode', () => {
+    it('uses the configured length and alphabet by default', () => {
+        const alphabet = new Set(CONFIG.CODE_ALPHABET);
+        
+        for (let i = 0; i < 200; i++) {
+            const code = generateAlphanumericCode({ isTaken: notTaken });
+            assert.strictEqual(code.length, CONFIG.CODE_LENGTH);
+            assert.ok(Array.from(code).every((char) => alphabet.has(char)), code);
+        }
+    });
+    
+    it('honours length and alphabet options', () => {
+        for (let i = 0; i < 200; i++) {
+            const code = generateAlphanumericCode({ length: 12, alphabet: 'XYZ', isTaken: notTaken });
+            assert.match(code, /^[XYZ]{12}$/);
+        }
+    });
+    
+    it('mixes at least two letters and two digits when the alphabet has both', () => {
+        for (let i = 0; i < 500; i++) {
+            const code = generateAlphanumericCode({ length: 6, alphabet: 'AB23', isTaken: notTaken });
+            assert.ok((code.match(/[A-Z]/g) || []).length >= 2, code);
+            assert.ok((code.match(/[0-9]/g) || []).length >= 2, code);
+        }
+    });
+    
+    it('draws every alphabet character about equally often', () => {
+        const counts = { A: 0, B: 0, C: 0, D: 0 };
+        const codes = 2000;
+        const length = 8;
+        
+        for (let i = 0; i < codes; i++) {
+            for (const char of generateAlphanumericCode({ length, alphabet: 'ABCD', isTaken: notTaken })) {
+                counts[char]++;
+            }
+        }
+        
+        // 16000 draws: expected 4000 each, one standard deviation is about 55
+        for (const [char, count] of Object.entries(counts)) {
+            assert.ok(Math.abs(count - (codes * length) / 4) < 400, `${char} drawn ${count} times`);
+        }
+    });
+    
+    it('rejects alphabets that are too small or contain the group separator', () => {
+        assert.throws(() => generateAlphanumericCode({ alphabet: 'AAAA' }), /at least two characters/);
+        assert.throws(() => generateAlphanumericCode({ alphabet: 'AB-CD' }), /no "-"/);
+    });
+    
+    it('retries codes that are already taken', () => {
+        const seen = [];
+        const code = generateAlphanumericCode({
+            alphabet: 'ABCDEFGH',
+            isTaken: (candidate) => {
+                seen.push(candidate);
+                return seen.length <= 3;
+            }
+        });
+        
+        assert.strictEqual(seen.length, 4);
+        assert.strictEqual(code, seen[3]);
+    });
+    
+    it('gives up after CODE_MAX_GENERATION_ATTEMPTS collisions', () => {
+        let checks = 0;
+        const isTaken = () => {
+            checks++;
+            return true;
+        };
+        
+        assert.throws(() => generateAlphanumericCode({ alphabet: 'ABCDEFGH', isTaken }), new RegExp(`after ${CONFIG.CODE_MAX_GENERATION_ATTEMPTS} attempts`));
+        assert.strictEqual(checks, CONFIG.CODE_MAX_GENERATION_ATTEMPTS);
+    });
+});
+
+describe('formatDisplayCode', () => {
+    it('groups by CODE_GROUP_SIZE by default', () => {
+        assert.strictEqual(formatDisplayCode('ABCD2345'), 'ABCD-2345');
+    });
+    
+    it('groups by the given size and leaves a shorter last group', () => {
+        assert.strictEqual(formatDisplayCode('ABCD2345', 2), 'AB-CD-23-45');
+        assert.strictEqual(formatDisplayCode('ABCD2345', 3), 'ABC-D23-45');
+        assert.strictEqual(formatDisplayCode('ABCDEFGH2', 4), 'ABCD-EFGH-2');
+    });
+    
+    it('leaves the code ungrouped for group size 0, negative sizes or short codes', () => {
+        assert.strictEqual(formatDisplayCode('ABCD2345', 0), 'ABCD2345');
+        assert.strictEqual(formatDisplayCode('ABCD2345', -1), 'ABCD2345');
+        assert.strictEqual(formatDisplayCode('ABCD2345', 8), 'ABCD2345');
+        assert.strictEqual(formatDisplayCode('ABC', 4), 'ABC');
+    });
+    
+    it('leaves codes ungrouped when CODE_GROUP_SIZE is 0', () => {
+        CONFIG.CODE_GROUP_SIZE = 0;
+        try {
+            assert.strictEqual(formatDisplayCode('ABCD2345'), 'ABCD2345');
+        } finally {
+            CONFIG.CODE_GROUP_SIZE = 4;
+        }
+    });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loads server.js as a library with its data and session directories in a
+// fresh temp dir. node --test runs every file in its own process, so the
+// environment set here only applies to the calling test file.
+function loadServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ian-tech-pairing-'));
+    
+    Object.assign(process.env, {
+        LOG_LEVEL: 'silent',
+        DATA_DIR: path.join(dir, 'data'),
+        SESSIONS_DIR: path.join(dir, 'sessions')
+    }, env);
+    
+    return {
+        dir,
+        server: require('../server'),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+// Serves the app on a free local port
+async function listen(app) {
+    const httpServer = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => httpServer.once('listening', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${httpServer.address().port}`,
+        close: () => new Promise((resolve) => httpServer.close(resolve))
+    };
+}
+
+// Returns a function that sends JSON requests with an admin API key and
+// resolves to the status code and the parsed body
+function createAdminRequest(baseUrl, apiKey) {
+    return async (method, pathname, body) => {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+module.exports = { loadServer, listen, createAdminRequest };
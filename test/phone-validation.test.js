@@ -0,0 +1,122 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { server, cleanup } = loadServer({ DEFAULT_REGION: 'KE', DEFAULT_LANGUAGE: 'en' });
+const { validateAndFormatPhoneNumber } = server;
+
+after(cleanup);
+
+// [input, options, E.164, country]
+const VALID_NUMBERS = [
+    // National input in the default region
+    ['0723278526', {}, '+254723278526', 'KE'],
+    ['723278526', {}, '+254723278526', 'KE'],
+    ['0723 278 526', {}, '+254723278526', 'KE'],
+    // International input, with +, 00 or the bare country code
+    ['+254723278526', {}, '+254723278526', 'KE'],
+    ['+254 (723) 278-526', {}, '+254723278526', 'KE'],
+    ['00254723278526', {}, '+254723278526', 'KE'],
+    ['254723278526', {}, '+254723278526', 'KE'],
+    ['+255 712 345 678', {}, '+255712345678', 'TZ'],
+    ['+256 712 345678', {}, '+256712345678', 'UG'],
+    ['+234 802 123 4567', {}, '+2348021234567', 'NG'],
+    ['+27 82 123 4567', {}, '+27821234567', 'ZA'],
+    ['+44 7400 123456', {}, '+447400123456', 'GB'],
+    ['0044 7400 123456', {}, '+447400123456', 'GB'],
+    ['+33 6 12 34 56 78', {}, '+33612345678', 'FR'],
+    ['+49 1512 3456789', {}, '+4915123456789', 'DE'],
+    ['+91 98765 43210', {}, '+919876543210', 'IN'],
+    ['+86 138 0013 8000', {}, '+8613800138000', 'CN'],
+    ['+81 90-1234-5678', {}, '+819012345678', 'JP'],
+    ['+62 812 3456 789', {}, '+628123456789', 'ID'],
+    ['+61 412 345 678', {}, '+61412345678', 'AU'],
+    ['+55 11 91234-5678', {}, '+5511912345678', 'BR'],
+    // North American numbers can't be told apart from landlines
+    ['+1 (201) 555-0123', {}, '+12015550123', 'US'],
+    // National input read in the submitted calling code's numbering plan
+    ['07400123456', { countryCode: '44' }, '+447400123456', 'GB'],
+    ['07400 123456', { countryCode: '+44' }, '+447400123456', 'GB'],
+    ['9876543210', { countryCode: '91' }, '+919876543210', 'IN'],
+    ['0712345678', { countryCode: '255' }, '+255712345678', 'TZ'],
+    ['08021234567', { countryCode: 234 }, '+2348021234567', 'NG'],
+    ['2015550123', { countryCode: '1' }, '+12015550123', 'US'],
+    ['0723278526', { countryCode: '254' }, '+254723278526', 'KE'],
+    // An international number wins over the submitted calling code
+    ['+447400123456', { countryCode: '254' }, '+447400123456', 'GB']
+];
+
+// [input, options, errorCode, errorParams]
+const INVALID_NUMBERS = [
+    ['', {}, 'missing_number', {}],
+    ['   ', {}, 'missing_number', {}],
+    [null, {}, 'missing_number', {}],
+    [undefined, {}, 'missing_number', {}],
+    ['020 2012345', {}, 'not_mobile', { type: 'fixed line' }],
+    ['+254 20 2012345', {}, 'not_mobile', { type: 'fixed line' }],
+    ['+44 20 7946 0958', {}, 'not_mobile', { type: 'fixed line' }],
+    ['+33 1 23 45 67 89', {}, 'not_mobile', { type: 'fixed line' }],
+    ['+49 30 12345678', {}, 'not_mobile', { type: 'fixed line' }],
+    ['+91 11 2345 6789', {}, 'not_mobile', { type: 'fixed line' }],
+    ['+44 800 123 4567', {}, 'not_mobile', { type: 'toll free' }],
+    ['+1 800 555 0199', {}, 'not_mobile', { type: 'toll free' }],
+    ['723278526', { countryCode: '999' }, 'invalid_country_code', { countryCode: '999' }],
+    ['723278526', { countryCode: '0' }, 'invalid_country_code', { countryCode: '0' }],
+    ['723278526', { countryCode: 'abc' }, 'invalid_country_code', { countryCode: 'abc' }],
+    ['12', {}, 'too_short', {}],
+    ['0723', {}, 'too_short', {}],
+    ['+2547', {}, 'too_short', {}],
+    ['+25472327852612345', {}, 'too_long', {}],
+    ['+44 7400 1234567890', {}, 'too_long', {}]
+];
+
+describe('validateAndFormatPhoneNumber', () => {
+    for (const [input, options, formatted, country] of VALID_NUMBERS) {
+        it(`accepts ${JSON.stringify(input)} ${JSON.stringify(options)} as ${formatted}`, () => {
+            const result = validateAndFormatPhoneNumber(input, options);
+            
+            assert.strictEqual(result.isValid, true, result.error);
+            assert.strictEqual(result.formatted, formatted);
+            assert.strictEqual(result.country, country);
+            assert.ok(['MOBILE', 'FIXED_LINE_OR_MOBILE'].includes(result.type), result.type);
+            assert.strictEqual(`+${result.countryCode}${result.nationalNumber}`, formatted);
+        });
+    }
+    
+    for (const [input, options, errorCode, errorParams] of INVALID_NUMBERS) {
+        it(`rejects ${JSON.stringify(input)} ${JSON.stringify(options)} with ${errorCode}`, () => {
+            const result = validateAndFormatPhoneNumber(input, options);
+            
+            assert.strictEqual(result.isValid, false);
+            assert.strictEqual(result.errorCode, errorCode);
+            assert.deepStrictEqual(result.errorParams, errorParams);
+            assert.ok(result.error && !result.error.startsWith('errors.'), result.error);
+        });
+    }
+    
+    it('gives an invalid_number example from the default region', () => {
+        const result = validateAndFormatPhoneNumber('999999999');
+        
+        assert.strictEqual(result.errorCode, 'invalid_number');
+        assert.match(result.errorParams.international, /^\+254 /);
+        assert.strictEqual(validateAndFormatPhoneNumber(result.errorParams.national).country, 'KE');
+        assert.ok(result.error.includes(result.errorParams.national));
+        assert.ok(result.error.includes(result.errorParams.international));
+    });
+    
+    it('gives an invalid_number example from the submitted calling code', () => {
+        const result = validateAndFormatPhoneNumber('0123456789', { countryCode: '44' });
+        
+        assert.strictEqual(result.errorCode, 'invalid_number');
+        assert.match(result.errorParams.international, /^\+44 /);
+        assert.strictEqual(validateAndFormatPhoneNumber(result.errorParams.national, { countryCode: '44' }).country, 'GB');
+        assert.ok(!result.error.includes('723278526'), result.error);
+    });
+    
+    it('uses the main country of a shared calling code for the example', () => {
+        const result = validateAndFormatPhoneNumber('0000000', { countryCode: '1' });
+        
+        assert.strictEqual(result.errorCode, 'invalid_number');
+        assert.strictEqual(validateAndFormatPhoneNumber(result.errorParams.international).country, 'US');
+    });
+});
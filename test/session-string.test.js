@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { loadServer } = require('./helpers');
+
+const { server, cleanup } = loadServer({ AUTH_STORE: 'file' });
+const {
+    CONFIG,
+    getSessionAuthStore,
+    exportSessionString,
+    parseSessionString,
+    importSessionString
+} = server;
+
+test.after(cleanup);
+
+const CREDENTIAL_ENTRIES = {
+    'creds': JSON.stringify({ registered: true, me: { id: '254723278526:4@s.whatsapp.net' } }),
+    'pre-key-1': JSON.stringify({ private: { type: 'Buffer', data: 'AQID' } }),
+    'session-254723278526.0': JSON.stringify({ _sessions: {} }),
+    'app-state-sync-key-AAAAAJ5U': JSON.stringify({ keyData: { type: 'Buffer', data: 'BAUG' } })
+};
+
+async function readEntries(store) {
+    const entries = {};
+    for (const key of await store.list()) {
+        entries[key] = await store.read(key);
+    }
+    return entries;
+}
+
+async function seedSession(sessionId) {
+    const store = getSessionAuthStore(sessionId);
+    for (const [key, value] of Object.entries(CREDENTIAL_ENTRIES)) {
+        await store.write(key, value);
+    }
+    await store.write('connection_info', JSON.stringify({ sessionId }));
+    return store;
+}
+
+test('export, parse and import reproduce the credential entries in a fresh store', async () => {
+    const sessionId = 'IAN_TECH_1700000000000_ROUNDTRIP';
+    await seedSession(sessionId);
+    
+    const sessionString = await exportSessionString(sessionId);
+    assert.ok(sessionString.startsWith(`${CONFIG.SESSION_PREFIX}~`));
+    
+    const bundle = parseSessionString(sessionString);
+    assert.strictEqual(bundle.sessionId, sessionId);
+    assert.deepStrictEqual(Object.keys(bundle.files).sort(), Object.keys(CREDENTIAL_ENTRIES).map((key) => `${key}.json`).sort());
+    
+    // The original credentials are still on disk, so the import gets a new ID
+    const importedId = await importSessionString(sessionString);
+    assert.notStrictEqual(importedId, sessionId);
+    
+    const imported = await readEntries(getSessionAuthStore(importedId));
+    assert.deepStrictEqual(imported, CREDENTIAL_ENTRIES);
+});
+
+test('import keeps the exported session ID when it is free', async () => {
+    const sessionId = 'IAN_TECH_1700000000000_MOVED';
+    const store = await seedSession(sessionId);
+    const sessionString = await exportSessionString(sessionId);
+    await store.clear();
+    
+    assert.strictEqual(await importSessionString(sessionString), sessionId);
+    assert.deepStrictEqual(await readEntries(getSessionAuthStore(sessionId)), CREDENTIAL_ENTRIES);
+});
+
+test('export refuses a session without credentials', async () => {
+    await assert.rejects(exportSessionString('IAN_TECH_1700000000000_EMPTY'), /no credentials/);
+});
+
+test('parseSessionString rejects foreign, corrupted and unsafe strings', () => {
+    const prefix = `${CONFIG.SESSION_PREFIX}~`;
+    const encode = (bundle) => prefix + zlib.gzipSync(Buffer.from(JSON.stringify(bundle))).toString('base64url');
+    
+    assert.throws(() => parseSessionString('OTHER~abc'), /must start with/);
+    assert.throws(() => parseSessionString(`${prefix}bm90IGd6aXA`), /corrupted or truncated/);
+    assert.throws(() => parseSessionString(encode({ v: 1, files: {} })), /does not contain WhatsApp credentials/);
+    assert.throws(() => parseSessionString(encode({
+        v: 1,
+        files: { 'creds.json': '{}', '../escape.json': '{}' }
+    })), /invalid file entry/);
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const fsExtra = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { loadServer, listen, createAdminRequest } = require('./helpers');
+
+const SECRET = 'webhook-test-secret';
+const OPERATOR_KEY = 'webhook-test-operator';
+
+// Local stand-in for a webhook receiver: answers with the queued status codes
+// (then 200) and records every request it gets.
+const receiver = {
+    requests: [],
+    statuses: [],
+    waiters: [],
+    reset() {
+        this.requests = [];
+        this.statuses = [];
+    },
+    waitFor(count) {
+        if (this.requests.length >= count) {
+            return Promise.resolve(this.requests);
+        }
+        return new Promise((resolve) => this.waiters.push({ count, resolve }));
+    }
+};
+
+const receiverServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        receiver.requests.push({ at: Date.now(), headers: req.headers, body });
+        res.writeHead(receiver.statuses.shift() || 200).end();
+        
+        receiver.waiters = receiver.waiters.filter((waiter) => {
+            if (receiver.requests.length >= waiter.count) {
+                waiter.resolve(receiver.requests);
+                return false;
+            }
+            return true;
+        });
+    });
+});
+
+let server;
+let cleanup;
+let api;
+let adminRequest;
+
+function sign(timestamp, body) {
+    return crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Polls until `check` returns something truthy
+async function eventually(check, description) {
+    for (let i = 0; i < 200; i++) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`timed out waiting for ${description}`);
+}
+
+function readDeadLetterFile() {
+    try {
+        return fs.readFileSync(path.join(server.CONFIG.DATA_DIR, 'webhook-dead-letters.jsonl'), 'utf8');
+    } catch (error) {
+        return '';
+    }
+}
+
+async function waitForDeadLetters(count) {
+    return eventually(async () => {
+        const { body } = await adminRequest('GET', '/admin/webhooks/dead-letters');
+        return body.count >= count && body.deliveries;
+    }, `${count} dead letters`);
+}
+
+before(async () => {
+    await new Promise((resolve) => receiverServer.listen(0, '127.0.0.1', resolve));
+    
+    ({ server, cleanup } = loadServer({
+        WEBHOOK_URLS: `http://127.0.0.1:${receiverServer.address().port}/hook`,
+        WEBHOOK_SECRET: SECRET,
+        WEBHOOK_MAX_ATTEMPTS: '3',
+        ADMIN_API_KEYS: `${OPERATOR_KEY}:operator`
+    }));
+    server.CONFIG.WEBHOOK_BACKOFF_MS = 20;
+    
+    api = await listen(server.app);
+    adminRequest = createAdminRequest(api.url, OPERATOR_KEY);
+});
+
+after(async () => {
+    await api.close();
+    await new Promise((resolve) => receiverServer.close(resolve));
+    cleanup();
+});
+
+beforeEach(() => receiver.reset());
+
+describe('webhook delivery', () => {
+    it('signs the timestamp and body with the endpoint secret', async () => {
+        server.emitServiceEvent('code.generated', { sessionId: 'IAN_TECH_1_SIGNED', status: 'pending' });
+        
+        const [request] = await receiver.waitFor(1);
+        const timestamp = request.headers['x-iantech-timestamp'];
+        const payload = JSON.parse(request.body);
+        
+        assert.strictEqual(request.headers['x-iantech-signature'], `sha256=${sign(timestamp, request.body)}`);
+        assert.strictEqual(request.headers['x-iantech-event'], 'code.generated');
+        assert.ok(request.headers['x-iantech-delivery']);
+        assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+        assert.strictEqual(payload.event, 'code.generated');
+        assert.deepStrictEqual(payload.data, { sessionId: 'IAN_TECH_1_SIGNED', status: 'pending' });
+    });
+    
+    it('does not deliver events outside the webhook event list', async () => {
+        server.emitServiceEvent('session.status', { sessionId: 'IAN_TECH_1_IGNORED' });
+        server.emitServiceEvent('code.linked', { sessionId: 'IAN_TECH_1_LINKED' });
+        
+        const [request] = await receiver.waitFor(1);
+        assert.strictEqual(request.headers['x-iantech-event'], 'code.linked');
+    });
+    
+    it('retries non-2xx responses with exponential backoff', async () => {
+        receiver.statuses = [500, 503];
+        server.emitServiceEvent('code.expired', { sessionId: 'IAN_TECH_1_RETRIED' });
+        
+        const requests = await receiver.waitFor(3);
+        const deliveryIds = new Set(requests.map((request) => request.headers['x-iantech-delivery']));
+        
+        assert.strictEqual(deliveryIds.size, 1);
+        assert.strictEqual(new Set(requests.map((request) => request.body)).size, 1);
+        assert.ok(requests[1].at - requests[0].at >= 20);
+        assert.ok(requests[2].at - requests[1].at >= 40);
+        
+        // Each attempt is signed with its own timestamp
+        for (const request of requests) {
+            assert.strictEqual(request.headers['x-iantech-signature'], `sha256=${sign(request.headers['x-iantech-timestamp'], request.body)}`);
+        }
+    });
+    
+    it('dead-letters a delivery after WEBHOOK_MAX_ATTEMPTS and replays it on request', async () => {
+        receiver.statuses = [500, 500, 500];
+        server.emitServiceEvent('code.revoked', { sessionId: 'IAN_TECH_1_DEAD' });
+        
+        const [deadLetter] = await waitForDeadLetters(1);
+        assert.strictEqual(receiver.requests.length, 3);
+        assert.strictEqual(deadLetter.event, 'code.revoked');
+        assert.strictEqual(deadLetter.attempts, 3);
+        assert.strictEqual(deadLetter.lastError, 'Endpoint responded with HTTP 500');
+        assert.deepStrictEqual(deadLetter.payload.data, { sessionId: 'IAN_TECH_1_DEAD' });
+        
+        // The dead letter is appended to the file after it is listed
+        await eventually(() => readDeadLetterFile().includes(deadLetter.id), 'the dead letter file');
+        
+        const replay = await adminRequest('POST', '/admin/webhooks/replay', { ids: [deadLetter.id] });
+        assert.strictEqual(replay.status, 200);
+        assert.deepStrictEqual(replay.body.ids, [deadLetter.id]);
+        
+        const requests = await receiver.waitFor(4);
+        assert.strictEqual(requests[3].headers['x-iantech-delivery'], deadLetter.id);
+        assert.strictEqual(JSON.parse(requests[3].body).id, deadLetter.payload.id);
+        
+        assert.strictEqual((await adminRequest('GET', '/admin/webhooks/dead-letters')).body.count, 0);
+        assert.ok(!readDeadLetterFile().includes(deadLetter.id));
+    });
+    
+    it('keeps the dead letters when they cannot be saved before a replay', async () => {
+        receiver.statuses = [500, 500, 500];
+        server.emitServiceEvent('code.failed', { sessionId: 'IAN_TECH_1_UNSAVED' });
+        const [deadLetter] = await waitForDeadLetters(1);
+        await eventually(() => readDeadLetterFile().includes(deadLetter.id), 'the dead letter file');
+        
+        const writeFile = fsExtra.writeFile;
+        fsExtra.writeFile = () => Promise.reject(new Error('disk full'));
+        let replay;
+        try {
+            replay = await adminRequest('POST', '/admin/webhooks/replay', {});
+        } finally {
+            fsExtra.writeFile = writeFile;
+        }
+        
+        assert.strictEqual(replay.status, 500);
+        assert.strictEqual(replay.body.reason, 'internal_error');
+        assert.strictEqual(receiver.requests.length, 3);
+        assert.deepStrictEqual((await adminRequest('GET', '/admin/webhooks/dead-letters')).body.deliveries.map((entry) => entry.id), [deadLetter.id]);
+        
+        assert.strictEqual((await adminRequest('POST', '/admin/webhooks/replay', {})).status, 200);
+        await receiver.waitFor(4);
+    });
+    
+    it('answers a replay without dead letters with 404', async () => {
+        const replay = await adminRequest('POST', '/admin/webhooks/replay', {});
+        
+        assert.strictEqual(replay.status, 404);
+        assert.strictEqual(replay.body.reason, 'no_dead_letters');
+    });
+});